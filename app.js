@@ -1,16 +1,29 @@
 // app.js
 const express = require('express');
+const { ADAPTERS } = require('./services/adapters');
+const { requireAuth } = require('./middleware/auth');
 const containersRoutes = require('./routes/containers');
+const schemaRoutes = require('./routes/schema');
+const subscriptionsRoutes = require('./routes/subscriptions');
+const analyticsRoutes = require('./routes/analytics');
+const shipmentsRoutes = require('./routes/shipments');
 
 const app = express();
 
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
+app.use(express.text({ type: ADAPTERS.flatMap(a => a.contentTypes), limit: '10mb' }));
 
 app.get('/', (req, res) => {
   res.json({ message: 'WeTRACK Container Event Processing Engine - API Ready' });
 });
 
+// Every API route needs credentials; the routes check roles
+app.use('/api', requireAuth);
 app.use('/api/containers', containersRoutes);
+app.use('/api/schema', schemaRoutes);
+app.use('/api/subscriptions', subscriptionsRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/shipments', shipmentsRoutes);
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,335 @@
+// cli/commands.js
+const fs = require('fs');
+const path = require('path');
+const { validateFile, ingestFile } = require('../services/fileIngest');
+const { ADAPTERS } = require('../services/adapters');
+const { getDefaultStore } = require('../services/eventStore');
+const { createEtaModel, getDefaultEtaModel } = require('../services/etaModel');
+const { getFormat, toAnomalyCsv, toNdjson, toHtmlReport } = require('../services/reportFormats');
+const { compareResultSets, hasDifferences } = require('../services/resultDiff');
+const { buildAnalytics } = require('../services/analytics');
+
+/**
+ * Subcommands of the process-file.js CLI. Each command takes its resolved
+ * path arguments and the parsed options, and resolves to an exit code.
+ *
+ * options: { partial, adapter, format, output, rules, containerIds, filters, log, alsoStdout }
+ * where log prints progress to stderr (a no-op with --quiet).
+ */
+
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  VALIDATION_ERRORS: 3,
+  ANOMALIES_FOUND: 4,
+  IO_FAILURE: 5,
+  DIFFERENCES_FOUND: 6
+};
+
+// Waits this long after the last change to a dropped file before reading it
+const WATCH_SETTLE_MS = 500;
+
+const formatProgress = ({ records, events, bytes_read, total_bytes }) => {
+  const percent = total_bytes > 0 ? Math.round((bytes_read / total_bytes) * 100) : 100;
+  return `  ... ${records} record(s), ${events} event(s) read (${percent}%)`;
+};
+
+function printValidationErrors(errors, truncated) {
+  console.error('Validation Errors:');
+  errors.forEach(error => {
+    let where = '';
+    if (error.position) where = `${error.position} `;
+    else if (error.index !== null) where = `Event ${error.index} `;
+    console.error(`  - ${where}[${error.code}] ${error.message}`);
+  });
+  if (truncated) console.error('  (further errors omitted)');
+}
+
+function printRejected(rejected, total) {
+  console.error(`Warning: ${total} event(s) or record(s) rejected:`);
+  rejected.forEach(r => {
+    const where = r.index === null ? r.record : `Event ${r.index}`;
+    r.errors.forEach(error => console.error(`  - ${where} [${error.code}] ${error.message}`));
+  });
+}
+
+function writeOutput(text, options) {
+  const content = text === '' || text.endsWith('\n') ? text : `${text}\n`;
+  if (!options.output || options.alsoStdout) process.stdout.write(content);
+  if (options.output) {
+    fs.writeFileSync(options.output, content);
+    options.log(`✓ Results saved to: ${options.output}`);
+  }
+}
+
+// Writes NDJSON results chunk by chunk, so a large file never builds one output string.
+// A container whose events span chunks is written again with its updated result.
+function createNdjsonWriter(options) {
+  const toStdout = !options.output || options.alsoStdout;
+  const anomalyCounts = new Map();
+  let fd = null;
+
+  return {
+    write(results) {
+      results.forEach(r => anomalyCounts.set(r.container_id, r.anomalies.length));
+      const text = toNdjson(results);
+      if (text === '') return;
+      if (toStdout) process.stdout.write(text);
+      if (options.output) {
+        if (fd === null) fd = fs.openSync(options.output, 'w');
+        fs.writeSync(fd, text);
+      }
+    },
+    close() {
+      if (!options.output) return;
+      if (fd === null) fd = fs.openSync(options.output, 'w');
+      fs.closeSync(fd);
+      options.log(`✓ Results saved to: ${options.output}`);
+    },
+    anomalies: () => [...anomalyCounts.values()].reduce((sum, count) => sum + count, 0)
+  };
+}
+
+// Ingests one file; resolves to { results, rejected, stats } or { exitCode } after reporting why.
+// With options.onResults results are passed on per chunk and not collected.
+async function ingest(filePath, options) {
+  const outcome = await ingestFile(filePath, {
+    adapter: options.adapter,
+    mode: options.partial ? 'partial' : 'strict',
+    rules: options.rules,
+    containerIds: options.containerIds,
+    asOf: options.asOf,
+    store: options.store,
+    etaModel: options.etaModel || createEtaModel(),
+    onResults: options.onResults,
+    onProgress: progress => options.log(formatProgress(progress))
+  });
+
+  if (outcome.error) {
+    printValidationErrors(outcome.validation_errors, outcome.stats.truncated);
+    return { exitCode: EXIT_CODES.VALIDATION_ERRORS };
+  }
+  if (outcome.stats.events === 0) {
+    console.error('Error: No events found in file');
+    return { exitCode: EXIT_CODES.VALIDATION_ERRORS };
+  }
+  if (outcome.rejected.length > 0) printRejected(outcome.rejected, outcome.stats.events_rejected);
+  return outcome;
+}
+
+function printSummary(filePath, anomalies, stats, log) {
+  log('\n' + '='.repeat(60));
+  log('PROCESSING COMPLETE');
+  log('='.repeat(60));
+  log(`File: ${filePath}`);
+  log(`Records Processed: ${stats.records}`);
+  log(`Containers Processed: ${stats.containers}`);
+  log(`Total Events: ${stats.events}`);
+  log(`Anomalies: ${anomalies}`);
+  log('='.repeat(60));
+}
+
+async function validateCommand([filePath], options) {
+  options.log(`✓ Validating file: ${filePath}`);
+  const { validation_errors, stats } = await validateFile(filePath, { adapter: options.adapter, containerIds: options.containerIds });
+  const valid = validation_errors.length === 0;
+
+  if (valid) {
+    options.log(`✓ ${stats.records} record(s), ${stats.events} event(s) valid`);
+  } else {
+    printValidationErrors(validation_errors, stats.truncated);
+  }
+  writeOutput(JSON.stringify({ file: filePath, valid, stats, validation_errors }, null, 2), options);
+  return valid ? EXIT_CODES.OK : EXIT_CODES.VALIDATION_ERRORS;
+}
+
+// Rejected events in --partial mode still exit with VALIDATION_ERRORS once the output is written.
+// NDJSON output is written after every chunk instead of once at the end.
+async function processCommand([filePath], options) {
+  options.log(`✓ Reading file: ${filePath}`);
+  options.log('\nProcessing events...\n');
+  const writer = options.format === 'ndjson' ? createNdjsonWriter(options) : null;
+  const outcome = await ingest(filePath, writer ? { ...options, onResults: writer.write } : options);
+  if (outcome.exitCode !== undefined) return outcome.exitCode;
+
+  const { results, rejected, stats } = outcome;
+  if (writer) {
+    printSummary(filePath, writer.anomalies(), stats, options.log);
+    writer.close();
+  } else {
+    printSummary(filePath, results.reduce((sum, r) => sum + r.anomalies.length, 0), stats, options.log);
+    writeOutput(getFormat(options.format).render(results), options);
+  }
+  return rejected.length > 0 ? EXIT_CODES.VALIDATION_ERRORS : EXIT_CODES.OK;
+}
+
+const flattenAnomalies = (results) => results.flatMap(r => r.anomalies.map(a => ({ container_id: r.container_id, ...a })));
+
+const ANOMALY_RENDERERS = {
+  json: results => JSON.stringify(flattenAnomalies(results), null, 2),
+  ndjson: results => flattenAnomalies(results).map(a => JSON.stringify(a)).join('\n'),
+  csv: toAnomalyCsv,
+  'anomalies-csv': toAnomalyCsv,
+  html: results => toHtmlReport(results.filter(r => r.anomalies.length > 0), { title: 'Container Anomaly Report' })
+};
+
+async function anomaliesCommand([filePath], options) {
+  options.log(`✓ Reading file: ${filePath}`);
+  const outcome = await ingest(filePath, options);
+  if (outcome.exitCode !== undefined) return outcome.exitCode;
+
+  const { results, rejected } = outcome;
+  const count = results.reduce((sum, r) => sum + r.anomalies.length, 0);
+  options.log(`✓ ${count} anomaly(ies) in ${results.filter(r => r.anomalies.length > 0).length} of ${results.length} container(s)`);
+  writeOutput(ANOMALY_RENDERERS[options.format](results), options);
+
+  if (rejected.length > 0) return EXIT_CODES.VALIDATION_ERRORS;
+  return count > 0 ? EXIT_CODES.ANOMALIES_FOUND : EXIT_CODES.OK;
+}
+
+// Result files are JSON arrays, NDJSON, or an API response with a `results` array.
+// In NDJSON written chunk by chunk the last line of a container is its final result.
+function readResultFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8').trim();
+  if (text === '') return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    const byId = new Map();
+    text.split('\n').filter(line => line.trim() !== '').forEach(line => {
+      const result = JSON.parse(line);
+      byId.set(result.container_id, result);
+    });
+    return [...byId.values()];
+  }
+  if (Array.isArray(parsed)) return parsed;
+  return Array.isArray(parsed.results) ? parsed.results : [parsed];
+}
+
+async function diffCommand([beforePath, afterPath], options) {
+  const diff = compareResultSets(readResultFile(beforePath), readResultFile(afterPath));
+  options.log(`✓ ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed, ${diff.unchanged} unchanged container(s)`);
+  writeOutput(JSON.stringify(diff, null, 2), options);
+  return hasDifferences(diff) ? EXIT_CODES.DIFFERENCES_FOUND : EXIT_CODES.OK;
+}
+
+function renderAnalyticsText(report) {
+  const lines = [];
+  const { from, to, port } = report.filters;
+  lines.push(`Containers: ${report.containers}  Events: ${report.events}  Anomalies: ${report.anomalies.total}`);
+  if (from || to || port) lines.push(`Filters: from ${from || '-'} to ${to || '-'}, port ${port || 'any'}`);
+
+  lines.push('', 'Arrival delay by port (minutes):');
+  lines.push(`  ${'Port'.padEnd(32)}${'Arrivals'.padStart(10)}${'Average'.padStart(10)}${'p95'.padStart(10)}`);
+  report.arrival_delays.forEach(d => {
+    const name = d.location_code ? `${d.location} (${d.location_code})` : d.location;
+    lines.push(`  ${name.padEnd(32)}${String(d.arrivals).padStart(10)}${String(d.avg_delay_minutes).padStart(10)}${String(d.p95_delay_minutes).padStart(10)}`);
+  });
+
+  lines.push('', 'Anomalies by type:');
+  Object.entries(report.anomalies.by_type).sort((a, b) => b[1] - a[1]).forEach(([type, count]) => lines.push(`  ${type.padEnd(32)}${String(count).padStart(10)}`));
+  lines.push('', 'Anomalies by location:');
+  report.anomalies.by_location.forEach(l => lines.push(`  ${l.location.padEnd(32)}${String(l.count).padStart(10)}`));
+  lines.push('', 'Status distribution:');
+  Object.entries(report.status_distribution).forEach(([status, count]) => lines.push(`  ${status.padEnd(32)}${String(count).padStart(10)}`));
+  lines.push('', 'Events per day:');
+  report.events_per_day.forEach(d => lines.push(`  ${d.date.padEnd(32)}${String(d.events).padStart(10)}`));
+  return lines.join('\n');
+}
+
+// Reads a result file (such as processing_results.json) and reports fleet-wide figures
+async function analyticsCommand([filePath], options) {
+  const report = buildAnalytics(readResultFile(filePath), options.filters);
+  options.log(`✓ ${report.containers} container(s), ${report.events} event(s) analysed`);
+  writeOutput(options.format === 'text' ? renderAnalyticsText(report) : JSON.stringify(report, null, 2), options);
+  return EXIT_CODES.OK;
+}
+
+const WATCHED_EXTENSIONS = ['.json', '.ndjson', '.jsonl', ...ADAPTERS.flatMap(a => a.extensions)];
+
+/**
+ * Processes every file dropped into a directory until interrupted. Results
+ * go to --output (default <dir>/results) as <name>.results<ext>; inputs are
+ * moved to <dir>/processed or <dir>/failed. Files are processed one at a
+ * time against the default event store, so histories build up across files.
+ */
+async function watchCommand([dir], options) {
+  if (!fs.statSync(dir).isDirectory()) {
+    console.error(`Error: Not a directory: ${dir}`);
+    return EXIT_CODES.IO_FAILURE;
+  }
+
+  const resultsDir = options.output || path.join(dir, 'results');
+  const processedDir = path.join(dir, 'processed');
+  const failedDir = path.join(dir, 'failed');
+  [resultsDir, processedDir, failedDir].forEach(d => fs.mkdirSync(d, { recursive: true }));
+
+  const store = getDefaultStore();
+  const fileOptions = { ...options, store, etaModel: getDefaultEtaModel(store) };
+  const { extension, render } = getFormat(options.format);
+  const timers = new Map();
+  let queue = Promise.resolve();
+
+  const accepts = (name) => !name.startsWith('.') &&
+    (options.adapter !== undefined || WATCHED_EXTENSIONS.includes(path.extname(name).toLowerCase()));
+
+  const processDropped = async (name) => {
+    const filePath = path.join(dir, name);
+    if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) return;
+
+    let target = failedDir;
+    try {
+      const outcome = await ingest(filePath, fileOptions);
+      if (outcome.exitCode === undefined) {
+        const outputPath = path.join(resultsDir, `${path.parse(name).name}.results${extension}`);
+        fs.writeFileSync(outputPath, render(outcome.results));
+        const anomalies = outcome.results.reduce((sum, r) => sum + r.anomalies.length, 0);
+        options.log(`✓ ${name}: ${outcome.results.length} container(s), ${anomalies} anomaly(ies) -> ${outputPath}`);
+        target = processedDir;
+      } else {
+        console.error(`✗ ${name}: not processed`);
+      }
+    } catch (err) {
+      console.error(`✗ ${name}: ${err.message}`);
+    }
+    fs.renameSync(filePath, path.join(target, name));
+  };
+
+  const schedule = (name) => {
+    if (!name || !accepts(name)) return;
+    clearTimeout(timers.get(name));
+    timers.set(name, setTimeout(() => {
+      timers.delete(name);
+      // A file that cannot be processed or moved must not stop the files queued after it
+      queue = queue.then(() => processDropped(name)).catch(err => console.error(`✗ ${name}: ${err.message}`));
+    }, WATCH_SETTLE_MS));
+  };
+
+  fs.readdirSync(dir).forEach(schedule);
+  const watcher = fs.watch(dir, (eventType, name) => schedule(name));
+  options.log(`✓ Watching ${dir} (results in ${resultsDir}); press Ctrl+C to stop`);
+
+  await new Promise(resolve => {
+    const stop = () => {
+      watcher.close();
+      timers.forEach(timer => clearTimeout(timer));
+      queue.then(resolve);
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  });
+  return EXIT_CODES.OK;
+}
+
+module.exports = {
+  EXIT_CODES,
+  validateCommand,
+  processCommand,
+  anomaliesCommand,
+  diffCommand,
+  analyticsCommand,
+  watchCommand
+};
@@ -0,0 +1,22 @@
+// controllers/analyticsController.js
+const { getTenantStore } = require('../services/eventStore');
+const { parseFilters, buildAnalytics } = require('../services/analytics');
+
+// ?from=&to= (dates or timestamps) and ?port= (code or name) narrow what is counted
+const getAnalytics = (req, res) => {
+  let filters;
+  try {
+    filters = parseFilters(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: 'Invalid input', message: err.message });
+  }
+
+  try {
+    res.json({ success: true, ...buildAnalytics(getTenantStore(req.auth.tenant).listResults(), filters) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = { getAnalytics };
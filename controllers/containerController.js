@@ -1,94 +1,447 @@
 // controllers/containerController.js
 const { processContainerEvents } = require('../services/containerProcessor');
+const { getTenantStore } = require('../services/eventStore');
+const { RULES, hasProfile, resolveRuleConfig } = require('../services/anomalyRules');
+const { getDefaultEtaModel } = require('../services/etaModel');
+const { publishResult } = require('../services/resultFeed');
+const { matchesFilters, messagesSince, subscribe } = require('../services/liveStream');
+const { readShipments, recordShipments, buildShipmentResult } = require('../services/shipments');
+const { ingestFile, resolveDataPath } = require('../services/fileIngest');
+const { adapterForContentType } = require('../services/adapters');
+const { FORMATS, getFormat } = require('../services/reportFormats');
+const { listOpenHolds } = require('../services/customsHolds');
+const { parsePagination, paginate } = require('./pagination');
+const { CONTAINER_ID_MODES } = require('../services/containerId');
 const fs = require('fs');
-const path = require('path');
+
+// The caller's tenant decides which containers it sees (see middleware/auth.js)
+const storeFor = (req) => getTenantStore(req.auth.tenant);
+
+// ?mode=partial processes every valid event instead of rejecting the whole batch;
+// ?profile=<name> selects anomaly thresholds from config/anomalyRules.json;
+// ?container_ids=strict|lenient|off selects ISO 6346 container id validation
+const getProcessingOptions = (req) => ({
+  store: storeFor(req),
+  mode: req.query.mode === 'partial' ? 'partial' : 'strict',
+  rules: resolveRuleConfig({ profile: req.query.profile }),
+  etaModel: getDefaultEtaModel(storeFor(req)),
+  onResult: (result, previous) => publishResult(result, previous, req.auth.tenant),
+  containerIds: req.query.container_ids
+});
+
+const rejectUnknownProfile = (req, res) => {
+  const { profile } = req.query;
+  if (profile === undefined || hasProfile(profile)) return false;
+  res.status(400).json({ error: 'Invalid input', message: `Unknown anomaly profile '${profile}'` });
+  return true;
+};
+
+const rejectInvalidOptions = (req, res) => {
+  if (rejectUnknownProfile(req, res)) return true;
+  const { container_ids } = req.query;
+  if (container_ids === undefined || CONTAINER_ID_MODES.includes(container_ids)) return false;
+  res.status(400).json({ error: 'Invalid input', message: `container_ids must be one of ${CONTAINER_ID_MODES.join(', ')}` });
+  return true;
+};
+
+const RESULT_FORMATS = Object.keys(FORMATS);
+
+/**
+ * Picks the output format from ?format= or, failing that, the Accept header.
+ * The first allowed format with an acceptable content type wins, so text/csv
+ * means one row per container unless only the anomaly CSV is allowed.
+ * Sends 400/406 and returns null when no allowed format fits.
+ */
+const negotiateFormat = (req, res, allowed = RESULT_FORMATS) => {
+  res.vary('Accept');
+  const { format } = req.query;
+  if (format !== undefined) {
+    if (allowed.includes(format)) return format;
+    res.status(400).json({ error: 'Invalid input', message: `Unknown format '${format}'`, supported: allowed });
+    return null;
+  }
+
+  const contentType = req.accepts([...new Set(allowed.map(name => FORMATS[name].contentType))]);
+  if (!contentType) {
+    res.status(406).json({ error: 'Not acceptable', supported: [...new Set(allowed.map(name => FORMATS[name].contentType))] });
+    return null;
+  }
+  return allowed.find(name => FORMATS[name].contentType === contentType);
+};
+
+const sendFormatted = (res, format, results) => {
+  const { contentType, render } = getFormat(format);
+  res.type(contentType).send(render(results));
+};
+
+// Partial results answer 207 when some events were rejected, 400 when all were.
+// Errors are always JSON; other formats report the rejected count in a header.
+const sendProcessResult = (res, result, extra = {}, format = 'json') => {
+  if (result.error) return res.status(400).json({ ...result, ...extra });
+
+  if (Array.isArray(result)) {
+    if (format !== 'json') return sendFormatted(res, format, result);
+    return res.json({ success: true, ...extra, containers_processed: result.length, results: result });
+  }
+
+  const { results, rejected } = result;
+  if (results.length === 0) {
+    return res.status(400).json({ error: 'Validation failed', ...extra, events_rejected: rejected.length, rejected });
+  }
+
+  res.status(rejected.length > 0 ? 207 : 200);
+  if (format !== 'json') {
+    res.set('X-Events-Rejected', String(rejected.length));
+    return sendFormatted(res, format, results);
+  }
+  res.json({
+    success: true,
+    ...extra,
+    containers_processed: results.length,
+    events_rejected: rejected.length,
+    results,
+    rejected
+  });
+};
 
 const processEvents = (req, res) => {
   try {
-    const events = req.body;
-    if (!Array.isArray(events) || events.length === 0) {
-      return res.status(400).json({ error: 'Invalid input', message: 'Body must be a non-empty array of events' });
+    if (rejectInvalidOptions(req, res)) return;
+    const format = negotiateFormat(req, res);
+    if (!format) return;
+    let events = req.body;
+    let adapterErrors = [];
+
+    // CSV, EDIFACT IFTSTA and X12 315 bodies are converted by their input adapter
+    if (typeof req.body === 'string') {
+      const adapter = adapterForContentType(req.get('Content-Type'));
+      ({ events, errors: adapterErrors } = adapter.parse(req.body));
+      if (adapterErrors.length > 0 && req.query.mode !== 'partial') {
+        return res.status(400).json({ error: 'Unmappable input', input_format: adapter.name, adapter_errors: adapterErrors });
+      }
     }
 
-    const result = processContainerEvents(events);
-    if (result.error) return res.status(400).json(result);
+    if (!Array.isArray(events) || (events.length === 0 && adapterErrors.length === 0)) {
+      return res.status(400).json({ error: 'Invalid input', message: 'Body must be a non-empty array of events' });
+    }
 
-    res.json({ success: true, containers_processed: result.length, results: result });
+    const result = processContainerEvents(events, getProcessingOptions(req));
+    // In partial mode, records the adapter could not map are reported with the rejected events
+    adapterErrors.forEach(err => {
+      result.rejected.push({ index: null, record: err.position, errors: [{ index: null, field: null, ...err }] });
+    });
+    sendProcessResult(res, result, {}, format);
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Internal server error' });
   }
 };
 
+// Errors of shipments and routes readShipments could not read, as rejected entries per container
+const shipmentRejections = (errors) => {
+  const byRecord = new Map();
+  errors.forEach(err => {
+    const record = err.container_index === undefined ? `shipment ${err.shipment_index}` : `shipment ${err.shipment_index} container ${err.container_index}`;
+    if (!byRecord.has(record)) byRecord.set(record, { index: null, record, errors: [] });
+    byRecord.get(record).errors.push({ index: null, ...err });
+  });
+  return [...byRecord.values()];
+};
+
 const processBatch = (req, res) => {
   // Same logic as your original /process-batch
   try {
+    if (rejectInvalidOptions(req, res)) return;
+    const format = negotiateFormat(req, res);
+    if (!format) return;
     const shipments = req.body;
     if (!Array.isArray(shipments)) {
       return res.status(400).json({ error: 'Invalid input', message: 'Must be array of shipments' });
     }
 
-    const allEvents = [];
-    shipments.forEach((s, i) => {
-      if (s.events && Array.isArray(s.events)) {
-        s.events.forEach(e => allEvents.push({ ...e, container_id: s.container_id || `unknown_${i}` }));
-      }
-    });
-
-    if (allEvents.length === 0) {
+    // In partial mode, unreadable shipments and routes are rejected like invalid events
+    const partial = req.query.mode === 'partial';
+    const { events, routes, shipments: records, errors, route_errors } = readShipments(shipments);
+    if (!partial && errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid input', message: 'Invalid shipments', shipment_errors: errors });
+    }
+    if (events.length === 0 && errors.length === 0) {
       return res.status(400).json({ error: 'No events found' });
     }
+    if (!partial && route_errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid route', route_errors });
+    }
 
-    const result = processContainerEvents(allEvents);
-    if (result.error) return res.status(400).json(result);
+    const options = getProcessingOptions(req);
+    const result = processContainerEvents(events, { ...options, routes });
+    if (partial) result.rejected.push(...shipmentRejections([...errors, ...route_errors]));
+    // Shipments are only recorded once some of their events were accepted
+    if (result.error || (!Array.isArray(result) && result.results.length === 0)) {
+      return sendProcessResult(res, result, {}, format);
+    }
 
-    res.json({ success: true, containers_processed: result.length, results: result });
+    recordShipments(options.store, records);
+    const rollups = [...new Set(records.map(r => r.shipment_id))]
+      .map(id => buildShipmentResult(options.store.getShipment(id), options.store.getResult));
+    sendProcessResult(res, result, rollups.length > 0 ? { shipments: rollups } : {}, format);
   } catch (err) {
     res.status(500).json({ error: 'Internal server error' });
   }
 };
 
-const processFile = (req, res) => {
-  // Your original /process-file logic (kept as bonus)
+const processFile = async (req, res) => {
+  // Your original /process-file logic (kept as bonus), now streamed in chunks
   try {
+    if (rejectInvalidOptions(req, res)) return;
+    const format = negotiateFormat(req, res);
+    if (!format) return;
     const { file_path } = req.body;
     if (!file_path || typeof file_path !== 'string') {
       return res.status(400).json({ error: 'file_path is required and must be string' });
     }
 
-    const resolvedPath = path.isAbsolute(file_path) ? file_path : path.resolve(process.cwd(), file_path);
-    if (!fs.existsSync(resolvedPath)) {
+    // Only files inside the data directory (DATA_DIR) can be read
+    const resolvedPath = resolveDataPath(file_path);
+    if (!resolvedPath) {
+      return res.status(403).json({ error: 'Forbidden', message: 'file_path must be inside the data directory' });
+    }
+    if (!fs.existsSync(resolvedPath) || !fs.statSync(resolvedPath).isFile()) {
       return res.status(404).json({ error: 'File not found' });
     }
 
-    const data = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
-    if (!Array.isArray(data)) {
-      return res.status(400).json({ error: 'File must contain array of shipments' });
+    const outcome = await ingestFile(resolvedPath, getProcessingOptions(req));
+    if (outcome.error) return res.status(400).json({ ...outcome, file_path });
+
+    const { results, rejected, stats } = outcome;
+    if (stats.events === 0) {
+      return res.status(400).json({ error: 'No events found in file', file_path });
     }
 
-    const allEvents = [];
-    data.forEach(s => {
-      if (s.container_id && s.events) {
-        s.events.forEach(e => allEvents.push({ ...e, container_id: s.container_id }));
-      }
+    // Strict mode validates the file up front, so only conflicting duplicates can be rejected here
+    const partial = req.query.mode === 'partial';
+    res.status(rejected.length > 0 ? 207 : 200);
+    if (format !== 'json') {
+      if (rejected.length > 0) res.set('X-Events-Rejected', String(stats.events_rejected));
+      return sendFormatted(res, format, results);
+    }
+    res.json({
+      success: true,
+      file_path,
+      containers_processed: results.length,
+      stats,
+      results,
+      ...(outcome.shipments.length > 0 ? { shipments: outcome.shipments } : {}),
+      ...(partial || rejected.length > 0 ? { rejected } : {})
     });
+  } catch (err) {
+    if (err instanceof SyntaxError) {
+      return res.status(400).json({ error: 'Invalid JSON file', message: err.message });
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const findResult = (req, res) => {
+  const result = storeFor(req).getResult(req.params.id);
+  if (!result) {
+    res.status(404).json({ error: 'Container not found', container_id: req.params.id });
+    return null;
+  }
+  return result;
+};
+
+const listContainers = (req, res) => {
+  try {
+    const format = negotiateFormat(req, res);
+    if (!format) return;
+    const { current_status, anomaly_type } = req.query;
+    let results = storeFor(req).listResults();
 
-    if (allEvents.length === 0) {
-      return res.status(400).json({ error: 'No events found in file' });
+    if (current_status) {
+      results = results.filter(r => r.current_status === current_status);
+    }
+    if (anomaly_type) {
+      results = results.filter(r => r.anomalies.some(a => a.type === anomaly_type));
     }
 
-    const result = processContainerEvents(allEvents);
-    if (result.error) return res.status(400).json({ ...result, file_path: resolvedPath });
+    const { items, ...pageInfo } = paginate(results, parsePagination(req.query));
+    if (format !== 'json') {
+      res.set('X-Total-Count', String(pageInfo.total));
+      return sendFormatted(res, format, items);
+    }
+    res.json({ success: true, ...pageInfo, results: items });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
 
-    res.json({
-      success: true,
-      file_path: resolvedPath,
-      containers_processed: result.length,
-      results: result
-    });
+const getContainer = (req, res) => {
+  try {
+    const format = negotiateFormat(req, res);
+    if (!format) return;
+    const result = findResult(req, res);
+    if (!result) return;
+    if (format !== 'json') return sendFormatted(res, format, [result]);
+    res.json({ success: true, result });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const getContainerTimeline = (req, res) => {
+  try {
+    const result = findResult(req, res);
+    if (!result) return;
+
+    const { items, ...pageInfo } = paginate(result.timeline, parsePagination(req.query));
+    res.json({ success: true, container_id: result.container_id, ...pageInfo, timeline: items });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const getContainerAnomalies = (req, res) => {
+  try {
+    const format = negotiateFormat(req, res, ['json', 'anomalies-csv']);
+    if (!format) return;
+    const result = findResult(req, res);
+    if (!result) return;
+
+    const { anomaly_type } = req.query;
+    const anomalies = anomaly_type
+      ? result.anomalies.filter(a => a.type === anomaly_type)
+      : result.anomalies;
+
+    const { items, ...pageInfo } = paginate(anomalies, parsePagination(req.query));
+    if (format !== 'json') return sendFormatted(res, format, [{ ...result, anomalies: items }]);
+    res.json({ success: true, container_id: result.container_id, ...pageInfo, anomalies: items });
   } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Worklist of open customs holds; overdue uses the prolonged_hold threshold of ?profile=
+const listHolds = (req, res) => {
+  try {
+    if (rejectUnknownProfile(req, res)) return;
+    const { reason, kind } = req.query;
+    const minHours = req.query.min_hours === undefined ? 0 : Number(req.query.min_hours);
+    if (isNaN(minHours) || minHours < 0) {
+      return res.status(400).json({ error: 'Invalid input', message: 'min_hours must be a non-negative number' });
+    }
+
+    const { threshold_hours } = resolveRuleConfig({ profile: req.query.profile }).prolonged_hold;
+    const holds = listOpenHolds(storeFor(req).listResults(), { thresholdHours: threshold_hours, minHours, reason, kind });
+    const { items, ...pageInfo } = paginate(holds, parsePagination(req.query));
+    res.json({ success: true, threshold_hours, ...pageInfo, holds: items });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Comment lines sent this often keep proxies from closing an idle stream
+const STREAM_HEARTBEAT_MS = 15000;
+
+const parseList = (value) => (value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : null);
+
+const writeStreamEvent = (res, { id, type, data }) => {
+  res.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Server-Sent Events of results and anomalies as they are computed. A client
+// resumes with Last-Event-ID (or ?last_event_id=); when the messages it missed
+// are no longer buffered it gets a reset event and should reload current state.
+const streamResults = (req, res) => {
+  const resumeFrom = req.get('Last-Event-ID') || req.query.last_event_id;
+  const afterId = resumeFrom === undefined ? null : Number(resumeFrom);
+  if (afterId !== null && (!Number.isInteger(afterId) || afterId < 0)) {
+    return res.status(400).json({ error: 'Invalid input', message: 'Last-Event-ID must be a non-negative integer' });
+  }
+  const filters = {
+    tenant: req.auth.tenant,
+    container_ids: parseList(req.query.container_ids),
+    anomaly_types: parseList(req.query.anomaly_types)
+  };
+  const unknownType = (filters.anomaly_types || []).find(type => !RULES.some(rule => rule.type === type));
+  if (unknownType) {
+    return res.status(400).json({ error: 'Invalid input', message: `Unknown anomaly type '${unknownType}'` });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  const send = (message) => {
+    if (matchesFilters(message, filters)) writeStreamEvent(res, message);
+  };
+
+  if (afterId !== null) {
+    const missed = messagesSince(afterId);
+    if (missed) {
+      missed.forEach(send);
+    } else {
+      writeStreamEvent(res, { type: 'reset', data: { message: `Events after ${afterId} are no longer available` } });
+    }
+  }
+  const unsubscribe = subscribe(send);
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), STREAM_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
+
+// Versions newest first, without the full result; fetch one version for that
+const getContainerHistory = (req, res) => {
+  try {
+    const result = findResult(req, res);
+    if (!result) return;
+
+    const versions = storeFor(req).getResultHistory(req.params.id)
+      .reverse()
+      .map(({ result: _result, ...version }) => version);
+    const { items, ...pageInfo } = paginate(versions, parsePagination(req.query));
+    res.json({ success: true, container_id: result.container_id, ...pageInfo, versions: items });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const getContainerVersion = (req, res) => {
+  try {
+    const result = findResult(req, res);
+    if (!result) return;
+
+    const version = storeFor(req).getResultHistory(req.params.id)
+      .find(v => String(v.version) === req.params.version);
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found', container_id: result.container_id, version: req.params.version });
+    }
+    res.json({ success: true, container_id: result.container_id, ...version });
+  } catch (err) {
+    console.error(err);
     res.status(500).json({ error: 'Internal server error' });
   }
 };
 
-module.exports = { processEvents, processBatch, processFile };
\ No newline at end of file
+module.exports = {
+  processEvents,
+  processBatch,
+  processFile,
+  listContainers,
+  listHolds,
+  streamResults,
+  getContainer,
+  getContainerTimeline,
+  getContainerAnomalies,
+  getContainerHistory,
+  getContainerVersion
+};
\ No newline at end of file
@@ -0,0 +1,20 @@
+// controllers/pagination.js
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Parses ?page=&limit= into a 1-based page and a bounded page size
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { page, limit };
+};
+
+const paginate = (items, { page, limit }) => ({
+  total: items.length,
+  page,
+  limit,
+  items: items.slice((page - 1) * limit, page * limit)
+});
+
+module.exports = { parsePagination, paginate };
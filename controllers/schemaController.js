@@ -0,0 +1,17 @@
+// controllers/schemaController.js
+const { VALID_EVENT_TYPES } = require('../services/containerProcessor');
+const { buildEventSchema, buildEventTypeSchema } = require('../services/eventSchema');
+
+const getEventSchema = (req, res) => {
+  res.json(buildEventSchema());
+};
+
+const getEventTypeSchema = (req, res) => {
+  const { type } = req.params;
+  if (!VALID_EVENT_TYPES.includes(type)) {
+    return res.status(404).json({ error: 'Unknown event type', event_type: type, valid_event_types: VALID_EVENT_TYPES });
+  }
+  res.json(buildEventTypeSchema(type));
+};
+
+module.exports = { getEventSchema, getEventTypeSchema };
@@ -0,0 +1,45 @@
+// controllers/shipmentController.js
+const { getTenantStore } = require('../services/eventStore');
+const { buildShipmentResult } = require('../services/shipments');
+const { parsePagination, paginate } = require('./pagination');
+
+const rollUp = (store, shipment) => buildShipmentResult(shipment, store.getResult);
+
+// ?current_status= filters on the rolled-up status; ?shipper= and ?consignee= match case-insensitively
+const listShipments = (req, res) => {
+  try {
+    const store = getTenantStore(req.auth.tenant);
+    const { current_status, shipper, consignee } = req.query;
+    const contains = (value, search) => String(value || '').toLowerCase().includes(search.toLowerCase());
+
+    let shipments = store.listShipments()
+      .filter(s => !shipper || contains(s.shipper, shipper))
+      .filter(s => !consignee || contains(s.consignee, consignee))
+      .map(s => rollUp(store, s));
+    if (current_status) shipments = shipments.filter(s => s.current_status === current_status);
+
+    const { items, ...pageInfo } = paginate(shipments, parsePagination(req.query));
+    res.json({ success: true, ...pageInfo, shipments: items });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Looks a shipment up by BL number, or by booking number
+const getShipment = (req, res) => {
+  try {
+    const store = getTenantStore(req.auth.tenant);
+    const { id } = req.params;
+    const shipment = store.getShipment(id) || store.listShipments().find(s => s.booking_number === id);
+    if (!shipment) {
+      return res.status(404).json({ error: 'Shipment not found', shipment_id: id });
+    }
+    res.json({ success: true, shipment: rollUp(store, shipment) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = { listShipments, getShipment };
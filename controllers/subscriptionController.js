@@ -0,0 +1,51 @@
+// controllers/subscriptionController.js
+const {
+  validateSubscription,
+  createSubscription: addSubscription,
+  listSubscriptions: allSubscriptions,
+  getSubscription: findSubscription,
+  deleteSubscription: removeSubscription,
+  getDeliveries
+} = require('../services/webhooks');
+
+const createSubscription = (req, res) => {
+  try {
+    const errors = validateSubscription(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid subscription', validation_errors: errors });
+    }
+    res.status(201).json({ success: true, subscription: addSubscription(req.body, req.auth.tenant) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const listSubscriptions = (req, res) => {
+  res.json({ success: true, subscriptions: allSubscriptions(req.auth.tenant) });
+};
+
+const getSubscription = (req, res) => {
+  const subscription = findSubscription(req.params.id, req.auth.tenant);
+  if (!subscription) return res.status(404).json({ error: 'Subscription not found' });
+  res.json({ success: true, subscription });
+};
+
+const deleteSubscription = (req, res) => {
+  if (!removeSubscription(req.params.id, req.auth.tenant)) return res.status(404).json({ error: 'Subscription not found' });
+  res.status(204).end();
+};
+
+const listDeliveries = (req, res) => {
+  const deliveries = getDeliveries(req.params.id, req.auth.tenant);
+  if (!deliveries) return res.status(404).json({ error: 'Subscription not found' });
+  res.json({ success: true, subscription_id: req.params.id, deliveries });
+};
+
+module.exports = {
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  deleteSubscription,
+  listDeliveries
+};
@@ -0,0 +1,28 @@
+// middleware/auth.js
+const { authenticate } = require('../services/auth');
+
+// Sets req.auth to the caller's { subject, tenant, roles } or answers 401
+const requireAuth = (req, res, next) => {
+  try {
+    const { principal, error } = authenticate({ apiKey: req.get('X-API-Key'), authorization: req.get('Authorization') });
+    if (!principal) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Unauthorized', message: error });
+    }
+    req.auth = principal;
+    next();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Answers 403 unless the caller has the role; use after requireAuth
+const requireRole = (role) => (req, res, next) => {
+  if (!req.auth.roles.includes(role)) {
+    return res.status(403).json({ error: 'Forbidden', message: `The '${role}' role is required` });
+  }
+  next();
+};
+
+module.exports = { requireAuth, requireRole };
@@ -1,130 +1,226 @@
 #!/usr/bin/env node  for lined data format
 
 /**
- * CLI script to process shipment JSON files
- * Usage: node process-file.js <file_path>
+ * CLI for processing container event files
+ * Usage: node process-file.js <command> [options] <path...>
+ *
+ * Run with --help for the commands, options and exit codes. For backward
+ * compatibility, `node process-file.js <file_path>` still runs `process` and
+ * also saves processing_results.<ext> next to the input file.
  */
 
 const fs = require('fs');
 const path = require('path');
-const { processContainerEvents } = require('./services/containerProcessor');
-
-// Get file path from command line arguments
-const filePath = process.argv[2];
-
-if (!filePath) {
-  console.error('Error: File path is required');
-  console.log('Usage: node process-file.js <file_path>');
-  console.log('Example: node process-file.js "sample data/shipments_detailed_input_wetrack_developer_assignment.json"');
-  process.exit(1);
+const { parseArgs } = require('util');
+const { ADAPTERS, getAdapter } = require('./services/adapters');
+const { FORMATS } = require('./services/reportFormats');
+const { loadRulesConfig, hasProfile, resolveRuleConfig } = require('./services/anomalyRules');
+const { parseFilters } = require('./services/analytics');
+const { CONTAINER_ID_MODES } = require('./services/containerId');
+const { isValidTimestamp } = require('./services/timeUtils');
+const {
+  EXIT_CODES,
+  validateCommand,
+  processCommand,
+  anomaliesCommand,
+  diffCommand,
+  analyticsCommand,
+  watchCommand
+} = require('./cli/commands');
+
+const RESULT_FORMATS = Object.keys(FORMATS);
+
+const COMMANDS = {
+  validate: { run: validateCommand, paths: ['file'], formats: ['json'] },
+  process: { run: processCommand, paths: ['file'], formats: RESULT_FORMATS },
+  anomalies: { run: anomaliesCommand, paths: ['file'], formats: RESULT_FORMATS },
+  diff: { run: diffCommand, paths: ['before', 'after'], formats: ['json'] },
+  analytics: { run: analyticsCommand, paths: ['results'], formats: ['json', 'text'] },
+  watch: { run: watchCommand, paths: ['directory'], formats: RESULT_FORMATS }
+};
+
+const inputFormats = ['json', ...ADAPTERS.map(a => a.name.replace(/_/g, '-'))];
+
+const USAGE = `Usage: node process-file.js <command> [options] <path...>
+
+Commands:
+  validate <file>           Validate a file without processing it
+  process <file>            Process a file and output container results
+  anomalies <file>          Process a file and output only its anomalies
+  diff <before> <after>     Compare two result files
+  analytics <results>       Report anomalies, delays and throughput across a result file
+  watch <directory>         Process files dropped into a directory until stopped
+
+Options:
+  -o, --output <path>       Write output to a file (watch: a directory) instead of stdout
+  -f, --format <format>     Output format: ${RESULT_FORMATS.join(', ')} (default: json)
+  -c, --config <file>       Anomaly thresholds file (default: config/anomalyRules.json)
+      --profile <name>      Anomaly profile from the thresholds file
+      --input-format <fmt>  Input format: ${inputFormats.join(', ')} (default: from extension)
+      --partial             Process valid events and report the rejected ones
+      --container-ids <m>   ISO 6346 container id check: ${CONTAINER_ID_MODES.join(', ')} (default: off)
+      --as-of <timestamp>   Measure open port stays and holds up to this time instead of now,
+                            so reprocessing an old file gives the same results
+      --from <date>         analytics: only count events from this date or timestamp
+      --to <date>           analytics: only count events up to this date (inclusive) or timestamp
+      --port <port>         analytics: only count events at this port (code or name)
+  -q, --quiet               Only print errors to stderr
+  -h, --help                Show this help
+
+Exit codes:
+  0  Success
+  1  Unexpected error
+  2  Invalid command line or thresholds file
+  3  Validation errors (with --partial, after the valid events were written)
+  4  Anomalies found (anomalies command)
+  5  I/O failure (file not found, unreadable or unwritable)
+  6  Results differ (diff command)
+
+Example: node process-file.js process "sample data/shipments_detailed_input_wetrack_developer_assignment.json" --format=csv -o results.csv`;
+
+const OPTIONS = {
+  output: { type: 'string', short: 'o' },
+  format: { type: 'string', short: 'f' },
+  config: { type: 'string', short: 'c' },
+  profile: { type: 'string' },
+  'input-format': { type: 'string' },
+  partial: { type: 'boolean' },
+  'container-ids': { type: 'string' },
+  'as-of': { type: 'string' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  port: { type: 'string' },
+  quiet: { type: 'boolean', short: 'q' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const usageError = (message) => {
+  console.error(`Error: ${message}`);
+  console.error('Run with --help for usage.');
+  return EXIT_CODES.USAGE;
+};
+
+// System errors (ENOENT, EACCES, ...) are I/O failures; unparsable input is a validation error
+const exitCodeFor = (error) => {
+  if (error instanceof SyntaxError) return EXIT_CODES.VALIDATION_ERRORS;
+  if (typeof error.code === 'string' && /^E[A-Z]+$/.test(error.code)) return EXIT_CODES.IO_FAILURE;
+  return EXIT_CODES.ERROR;
+};
+
+function loadRules(values) {
+  let config;
+  if (values.config) {
+    const configPath = path.resolve(process.cwd(), values.config);
+    if (!fs.existsSync(configPath)) {
+      console.error(`Error: Thresholds file not found: ${configPath}`);
+      return { exitCode: EXIT_CODES.IO_FAILURE };
+    }
+    try {
+      config = loadRulesConfig(configPath);
+    } catch (error) {
+      return { exitCode: usageError(`Invalid thresholds file ${configPath}: ${error.message}`) };
+    }
+  }
+  if (values.profile && !hasProfile(values.profile, config)) {
+    return { exitCode: usageError(`Unknown anomaly profile "${values.profile}"`) };
+  }
+  return { rules: resolveRuleConfig({ config, profile: values.profile }) };
 }
 
-// Resolve file path
-let resolvedPath;
-try {
-  if (path.isAbsolute(filePath)) {
-    resolvedPath = filePath;
-  } else {
-    resolvedPath = path.resolve(process.cwd(), filePath);
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: process.argv.slice(2), options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    return usageError(error.message);
   }
-} catch (error) {
-  console.error(`Error: Unable to resolve file path: ${error.message}`);
-  process.exit(1);
-}
+  const { values, positionals } = parsed;
 
-// Check if file exists
-if (!fs.existsSync(resolvedPath)) {
-  console.error(`Error: File not found at path: ${resolvedPath}`);
-  process.exit(1);
-}
+  if (values.help) {
+    console.log(USAGE);
+    return EXIT_CODES.OK;
+  }
+  if (positionals.length === 0) {
+    console.error(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+
+  // Legacy form: a bare file path means `process`
+  const legacy = !COMMANDS[positionals[0]];
+  const name = legacy ? 'process' : positionals[0];
+  const command = COMMANDS[name];
+  const paths = legacy ? positionals : positionals.slice(1);
 
-// Read and parse JSON file
-let shipments;
-try {
-  const fileContent = fs.readFileSync(resolvedPath, 'utf8');
-  shipments = JSON.parse(fileContent);
-  console.error(`✓ Successfully loaded file: ${resolvedPath}`);
-} catch (error) {
-  if (error instanceof SyntaxError) {
-    console.error(`Error: Invalid JSON file: ${error.message}`);
-  } else {
-    console.error(`Error: Failed to read file: ${error.message}`);
+  if (paths.length !== command.paths.length) {
+    return usageError(`${name} expects ${command.paths.map(p => `<${p}>`).join(' ')}`);
   }
-  process.exit(1);
-}
 
-// Validate input is an array
-if (!Array.isArray(shipments)) {
-  console.error('Error: JSON file must contain an array of shipments');
-  process.exit(1);
-}
+  const format = values.format || 'json';
+  if (!command.formats.includes(format)) {
+    return usageError(`Unknown output format "${format}" for ${name} (expected one of: ${command.formats.join(', ')})`);
+  }
 
-if (shipments.length === 0) {
-  console.error('Error: Shipments array is empty');
-  process.exit(1);
-}
+  const inputFormat = values['input-format'];
+  if (inputFormat && inputFormat !== 'json' && !getAdapter(inputFormat)) {
+    return usageError(`Unknown input format "${inputFormat}" (expected one of: ${inputFormats.join(', ')})`);
+  }
 
-console.error(`✓ Found ${shipments.length} shipment(s)`);
+  const containerIds = values['container-ids'];
+  if (containerIds && !CONTAINER_ID_MODES.includes(containerIds)) {
+    return usageError(`Unknown container id check "${containerIds}" (expected one of: ${CONTAINER_ID_MODES.join(', ')})`);
+  }
 
-// Extract events from shipments
-const allEvents = [];
-shipments.forEach((shipment, shipmentIndex) => {
-  if (!shipment.container_id) {
-    console.error(`Warning: Shipment at index ${shipmentIndex} missing container_id`);
-    return;
+  const asOf = values['as-of'];
+  if (asOf !== undefined && !isValidTimestamp(asOf)) {
+    return usageError(`Invalid --as-of "${asOf}" (expected an ISO 8601 timestamp with Z or a UTC offset)`);
   }
 
-  if (shipment.events && Array.isArray(shipment.events)) {
-    shipment.events.forEach(event => {
-      allEvents.push({
-        ...event,
-        container_id: shipment.container_id
-      });
-    });
+  let filters;
+  try {
+    filters = parseFilters(values);
+  } catch (error) {
+    return usageError(error.message);
   }
-});
 
-if (allEvents.length === 0) {
-  console.error('Error: No events found in shipments');
-  process.exit(1);
-}
+  const { rules, exitCode } = loadRules(values);
+  if (exitCode !== undefined) return exitCode;
 
-console.error(`✓ Extracted ${allEvents.length} event(s) from shipments`);
+  const resolvedPaths = paths.map(p => path.resolve(process.cwd(), p));
+  const missing = resolvedPaths.find(p => !fs.existsSync(p));
+  if (missing) {
+    console.error(`Error: File not found at path: ${missing}`);
+    return EXIT_CODES.IO_FAILURE;
+  }
 
-// Process events
-console.error('\nProcessing events...\n');
-const result = processContainerEvents(allEvents);
+  let output = values.output ? path.resolve(process.cwd(), values.output) : null;
+  if (legacy && !output) {
+    output = path.join(path.dirname(resolvedPaths[0]), `processing_results${FORMATS[format].extension}`);
+  }
 
-// Check if there were validation errors
-if (result.error) {
-  console.error('Validation Errors:');
-  result.validation_errors.forEach(error => {
-    console.error(`  - ${error}`);
+  return command.run(resolvedPaths, {
+    partial: Boolean(values.partial),
+    // json forces the JSON readers even for a file with an adapter's extension
+    adapter: inputFormat ? getAdapter(inputFormat) : undefined,
+    format,
+    output,
+    alsoStdout: legacy && !values.output,
+    rules,
+    containerIds,
+    asOf,
+    filters,
+    log: values.quiet ? () => {} : (...args) => console.error(...args)
   });
-  process.exit(1);
 }
 
-// Display processing summary to stderr
-console.error('\n' + '='.repeat(60));
-console.error('PROCESSING COMPLETE');
-console.error('='.repeat(60));
-console.error(`File: ${resolvedPath}`);
-console.error(`Shipments Processed: ${shipments.length}`);
-console.error(`Containers Processed: ${result.length}`);
-console.error(`Total Events: ${allEvents.length}`);
-console.error('='.repeat(60));
-console.error('\nOutput:\n');
-
-// Output the result as JSON to stdout (main console output)
-console.log(JSON.stringify(result, null, 2));
-
-// Optionally save results to file
-const outputPath = path.join(path.dirname(resolvedPath), 'processing_results.json');
-try {
-  fs.writeFileSync(outputPath, JSON.stringify(result, null, 2));
-  console.error(`✓ Results saved to: ${outputPath}`);
-} catch (error) {
-  console.error(`Warning: Could not save results to file: ${error.message}`);
-}
-
-console.error('\n✓ Processing completed successfully!');
\ No newline at end of file
+main()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    if (error instanceof SyntaxError) {
+      console.error(`Error: Invalid JSON file: ${error.message}`);
+    } else {
+      console.error(`Error: ${error.message}`);
+    }
+    process.exitCode = exitCodeFor(error);
+  });
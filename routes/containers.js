@@ -1,10 +1,32 @@
 // routes/containers.js
 const express = require('express');
 const router = express.Router();
-const { processEvents, processBatch, processFile } = require('../controllers/containerController');
+const { requireRole } = require('../middleware/auth');
+const {
+  processEvents,
+  processBatch,
+  processFile,
+  listContainers,
+  listHolds,
+  streamResults,
+  getContainer,
+  getContainerTimeline,
+  getContainerAnomalies,
+  getContainerHistory,
+  getContainerVersion
+} = require('../controllers/containerController');
 
-router.post('/process', processEvents);        // Main required endpoint
-router.post('/process-batch', processBatch);   // Bonus
-router.post('/process-file', processFile);     // Bonus
+router.post('/process', requireRole('operator'), processEvents);              // Main required endpoint
+router.post('/process-batch', requireRole('operator'), processBatch);         // Bonus
+router.post('/process-file', requireRole('file_processor'), processFile);     // Bonus
+
+router.get('/', listContainers);
+router.get('/holds', listHolds);                // Declared before /:id
+router.get('/stream', streamResults);           // Declared before /:id
+router.get('/:id', getContainer);
+router.get('/:id/timeline', getContainerTimeline);
+router.get('/:id/anomalies', getContainerAnomalies);
+router.get('/:id/history', getContainerHistory);
+router.get('/:id/history/:version', getContainerVersion);
 
 module.exports = router;
\ No newline at end of file
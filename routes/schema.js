@@ -0,0 +1,9 @@
+// routes/schema.js
+const express = require('express');
+const router = express.Router();
+const { getEventSchema, getEventTypeSchema } = require('../controllers/schemaController');
+
+router.get('/events', getEventSchema);
+router.get('/events/:type', getEventTypeSchema);
+
+module.exports = router;
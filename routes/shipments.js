@@ -0,0 +1,9 @@
+// routes/shipments.js
+const express = require('express');
+const router = express.Router();
+const { listShipments, getShipment } = require('../controllers/shipmentController');
+
+router.get('/', listShipments);
+router.get('/:id', getShipment);
+
+module.exports = router;
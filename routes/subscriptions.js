@@ -0,0 +1,19 @@
+// routes/subscriptions.js
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/auth');
+const {
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  deleteSubscription,
+  listDeliveries
+} = require('../controllers/subscriptionController');
+
+router.post('/', requireRole('operator'), createSubscription);
+router.get('/', listSubscriptions);
+router.get('/:id', getSubscription);
+router.delete('/:id', requireRole('operator'), deleteSubscription);
+router.get('/:id/deliveries', listDeliveries);
+
+module.exports = router;
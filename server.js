@@ -1,7 +1,9 @@
 // server.js
 const app = require('./app');
+const { isAuthDisabled } = require('./services/auth');
 const PORT = process.env.PORT || 3000;
 
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
+  if (isAuthDisabled()) console.warn('Warning: AUTH_DISABLED=true, every caller has full access to the default tenant');
 });
\ No newline at end of file
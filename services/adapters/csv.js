@@ -0,0 +1,111 @@
+// services/adapters/csv.js
+const { VALID_EVENT_TYPES } = require('../containerProcessor');
+const { mapStatusCode } = require('./statusCodes');
+
+/**
+ * CSV exports, one event per row. The header names the columns:
+ * container_id, timestamp, location and either event_type or a carrier
+ * status_code. Any other column (optionally prefixed with "metadata.") goes
+ * into the event's metadata.
+ */
+
+const EVENT_COLUMNS = ['container_id', 'event_type', 'status_code', 'timestamp', 'location'];
+
+// RFC 4180 parsing: quoted fields, doubled quotes and line breaks inside quotes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+function parse(text) {
+  const events = [];
+  const errors = [];
+  const rows = parseCsv(text);
+  if (rows.length === 0) return { events, errors };
+
+  const header = rows[0].map(h => h.trim());
+  if (!header.includes('event_type') && !header.includes('status_code')) {
+    errors.push({ position: 'line 1', code: 'invalid_header', message: 'CSV header needs an event_type or status_code column' });
+    return { events, errors };
+  }
+
+  rows.slice(1).forEach((values, i) => {
+    const position = `line ${i + 2}`;
+    const row = {};
+    header.forEach((column, c) => {
+      const value = (values[c] || '').trim();
+      if (value !== '') row[column] = value;
+    });
+
+    const metadata = {};
+    Object.keys(row).forEach(column => {
+      if (!EVENT_COLUMNS.includes(column)) metadata[column.replace(/^metadata\./, '')] = row[column];
+    });
+
+    let eventType = row.event_type || row.status_code;
+    if (!eventType || !VALID_EVENT_TYPES.includes(eventType)) {
+      const code = row.status_code || row.event_type;
+      const mapped = code ? mapStatusCode('csv', code) : null;
+      if (!mapped) {
+        errors.push({ position, code: 'unmapped_status_code', status_code: code || null, message: `Status code '${code || ''}' has no event type mapping` });
+        return;
+      }
+      eventType = mapped.event_type;
+      Object.keys(mapped.metadata).forEach(key => {
+        if (metadata[key] === undefined) metadata[key] = mapped.metadata[key];
+      });
+    }
+
+    const event = {
+      container_id: row.container_id,
+      event_type: eventType,
+      timestamp: row.timestamp,
+      location: row.location
+    };
+    if (Object.keys(metadata).length > 0) event.metadata = metadata;
+    events.push(event);
+  });
+
+  return { events, errors };
+}
+
+module.exports = {
+  name: 'csv',
+  contentTypes: ['text/csv'],
+  extensions: ['.csv'],
+  parse
+};
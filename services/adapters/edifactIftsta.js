@@ -0,0 +1,160 @@
+// services/adapters/edifactIftsta.js
+const { mapStatusCode } = require('./statusCodes');
+
+/**
+ * UN/EDIFACT IFTSTA (international multimodal status report). Each STS
+ * segment starts a status; the DTM, LOC, EQD, TDT and FTX segments that
+ * follow it describe that status. An EQD seen before the first STS of a
+ * consignment applies to all of its statuses.
+ */
+
+const DEFAULT_SEPARATORS = { component: ':', element: '+', release: '?', segment: "'" };
+
+function readSeparators(text) {
+  if (!text.startsWith('UNA')) return DEFAULT_SEPARATORS;
+  return { component: text[3], element: text[4], release: text[6], segment: text[8] };
+}
+
+// Splits on `separator` unless it is escaped by the release character
+function splitEscaped(text, separator, release) {
+  const parts = [];
+  let current = '';
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === release && i + 1 < text.length) {
+      current += text[++i];
+    } else if (ch === separator) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+// Segments as arrays of elements, each element an array of components
+function tokenize(text) {
+  const sep = readSeparators(text);
+  const body = text.startsWith('UNA') ? text.slice(9) : text;
+
+  // Keep release characters while splitting segments so elements can still be unescaped
+  const segments = [];
+  let current = '';
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (ch === sep.release && i + 1 < body.length) {
+      current += ch + body[++i];
+    } else if (ch === sep.segment) {
+      segments.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim() !== '') segments.push(current);
+
+  return segments
+    .map(s => s.replace(/^[\r\n\s]+/, ''))
+    .filter(s => s !== '')
+    .map(s => {
+      const elements = [];
+      let element = '';
+      for (let i = 0; i < s.length; i++) {
+        if (s[i] === sep.release && i + 1 < s.length) {
+          element += s[i] + s[++i];
+        } else if (s[i] === sep.element) {
+          elements.push(element);
+          element = '';
+        } else {
+          element += s[i];
+        }
+      }
+      elements.push(element);
+      return elements.map(e => splitEscaped(e, sep.component, sep.release));
+    });
+}
+
+// DTM formats 203 (CCYYMMDDHHMM), 204 (CCYYMMDDHHMMSS) and 102 (CCYYMMDD)
+function toIsoTimestamp(value, format) {
+  const digits = (value || '').replace(/\D/g, '');
+  const date = `${digits.slice(0, 4)}-${digits.slice(4, 6)}-${digits.slice(6, 8)}`;
+  if (format === '102') return `${date}T00:00:00Z`;
+  const seconds = format === '204' ? digits.slice(12, 14) : '00';
+  return `${date}T${digits.slice(8, 10)}:${digits.slice(10, 12)}:${seconds}Z`;
+}
+
+function parse(text) {
+  const events = [];
+  const errors = [];
+  let consignmentEquipment = null;
+  let status = null;
+
+  const finish = () => {
+    if (!status) return;
+    const { position, code } = status;
+    const mapped = mapStatusCode('iftsta', code);
+    if (!mapped) {
+      errors.push({ position, code: 'unmapped_status_code', status_code: code, message: `IFTSTA status code '${code}' has no event type mapping` });
+    } else {
+      const metadata = { ...mapped.metadata, ...status.metadata, carrier_status_code: code };
+      if (mapped.event_type === 'customs_hold' && status.freeText) metadata.hold_reason = status.freeText;
+      if (mapped.event_type === 'in_transit' && !metadata.voyage_status) metadata.voyage_status = 'in_transit';
+      events.push({
+        container_id: status.equipment || consignmentEquipment,
+        event_type: mapped.event_type,
+        timestamp: status.timestamp,
+        location: status.location,
+        metadata
+      });
+    }
+    status = null;
+  };
+
+  tokenize(text).forEach((elements, i) => {
+    const tag = elements[0][0];
+    const position = `segment ${i + 1}`;
+
+    if (tag === 'CNI') {
+      finish();
+      consignmentEquipment = null;
+    } else if (tag === 'STS') {
+      finish();
+      const code = (elements[2] || [])[0];
+      status = { position, code, metadata: {}, equipment: null, timestamp: undefined, location: undefined, freeText: null };
+    } else if (tag === 'EQD' && (elements[1] || [])[0] === 'CN') {
+      const containerId = (elements[2] || [])[0];
+      if (status) status.equipment = containerId;
+      else consignmentEquipment = containerId;
+    } else if (status && tag === 'DTM') {
+      const [qualifier, value, format] = elements[1] || [];
+      if (qualifier === '334' || qualifier === '178' || !status.timestamp) {
+        status.timestamp = toIsoTimestamp(value, format);
+      }
+    } else if (status && tag === 'LOC') {
+      const [locode, , , name] = elements[2] || [];
+      if (locode) status.metadata.port_code = locode;
+      status.location = name || locode;
+    } else if (status && tag === 'TDT') {
+      const voyage = (elements[2] || [])[0];
+      const vessel = (elements[8] || [])[3];
+      if (voyage) status.metadata.voyage_no = voyage;
+      if (vessel) status.metadata.vessel_name = vessel;
+    } else if (status && tag === 'FTX') {
+      status.freeText = (elements[4] || []).join(' ').trim() || null;
+    } else if (tag === 'UNT') {
+      finish();
+    }
+  });
+  finish();
+
+  return { events, errors };
+}
+
+module.exports = {
+  name: 'iftsta',
+  contentTypes: ['application/edifact'],
+  extensions: ['.edifact', '.iftsta'],
+  parse
+};
@@ -0,0 +1,37 @@
+// services/adapters/index.js
+const path = require('path');
+
+/**
+ * Input adapters turn carrier formats into our event shape. Each adapter
+ * exposes parse(text) -> { events, errors }; errors carry { position, code,
+ * message } and code 'unmapped_status_code' names carrier codes that have no
+ * mapping in config/carrierStatusCodes.json.
+ */
+const ADAPTERS = [
+  require('./csv'),
+  require('./edifactIftsta'),
+  require('./x12_315')
+];
+
+function getAdapter(name) {
+  const normalized = String(name || '').toLowerCase().replace(/-/g, '_');
+  return ADAPTERS.find(a => a.name === normalized) || null;
+}
+
+// Matches the media type of a Content-Type header, ignoring parameters
+function adapterForContentType(contentType) {
+  const mediaType = String(contentType || '').split(';')[0].trim().toLowerCase();
+  return ADAPTERS.find(a => a.contentTypes.includes(mediaType)) || null;
+}
+
+function adapterForFile(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  return ADAPTERS.find(a => a.extensions.includes(ext)) || null;
+}
+
+module.exports = {
+  ADAPTERS,
+  getAdapter,
+  adapterForContentType,
+  adapterForFile
+};
@@ -0,0 +1,25 @@
+// services/adapters/statusCodes.js
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CODES_PATH = path.join(__dirname, '..', '..', 'config', 'carrierStatusCodes.json');
+
+let codes = null;
+
+// { <adapter>: { <carrier status code>: { event_type, metadata } } }, from CARRIER_STATUS_CODES or config/
+function getStatusCodes() {
+  if (!codes) {
+    const filePath = process.env.CARRIER_STATUS_CODES || DEFAULT_CODES_PATH;
+    codes = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+  return codes;
+}
+
+// Returns { event_type, metadata } for a carrier status code, or null when unmapped
+function mapStatusCode(adapter, code) {
+  const mapping = (getStatusCodes()[adapter] || {})[String(code).trim().toUpperCase()];
+  if (!mapping) return null;
+  return { event_type: mapping.event_type, metadata: { ...(mapping.metadata || {}) } };
+}
+
+module.exports = { getStatusCodes, mapStatusCode };
@@ -0,0 +1,96 @@
+// services/adapters/x12_315.js
+const { mapStatusCode } = require('./statusCodes');
+
+/**
+ * ANSI X12 315 (status details, ocean). Each ST..SE transaction is one
+ * status: B4 carries the status code, date, time, location and equipment;
+ * Q2 the vessel and voyage; R4 the port names; N9 references.
+ */
+
+// Separators come from the ISA envelope when present
+function readSeparators(text) {
+  if (text.startsWith('ISA') && text.length > 105) {
+    return { element: text[3], segment: text[105] };
+  }
+  return { element: '*', segment: '~' };
+}
+
+function tokenize(text) {
+  const sep = readSeparators(text);
+  return text
+    .split(sep.segment)
+    .map(s => s.trim())
+    .filter(s => s !== '')
+    .map(s => s.split(sep.element));
+}
+
+// B4-04 CCYYMMDD and B4-05 HHMM, reported in UTC
+function toIsoTimestamp(date, time) {
+  const d = (date || '').replace(/\D/g, '');
+  const t = ((time || '') + '0000').replace(/\D/g, '');
+  return `${d.slice(0, 4)}-${d.slice(4, 6)}-${d.slice(6, 8)}T${t.slice(0, 2)}:${t.slice(2, 4)}:00Z`;
+}
+
+function parse(text) {
+  const events = [];
+  const errors = [];
+  let status = null;
+
+  const finish = () => {
+    if (!status) return;
+    const { position, code } = status;
+    const mapped = code ? mapStatusCode('x12_315', code) : null;
+    if (!mapped) {
+      errors.push({ position, code: 'unmapped_status_code', status_code: code || null, message: `X12 315 status code '${code || ''}' has no event type mapping` });
+    } else {
+      const metadata = { ...mapped.metadata, ...status.metadata, carrier_status_code: code };
+      if (mapped.event_type === 'in_transit' && !metadata.voyage_status) metadata.voyage_status = 'in_transit';
+      const portName = status.portNames[status.metadata.port_code];
+      events.push({
+        container_id: status.containerId,
+        event_type: mapped.event_type,
+        timestamp: status.timestamp,
+        location: portName || status.metadata.port_code,
+        metadata
+      });
+    }
+    status = null;
+  };
+
+  tokenize(text).forEach((elements, i) => {
+    const tag = elements[0];
+    const position = `segment ${i + 1}`;
+
+    if (tag === 'ST') {
+      finish();
+      status = { position, code: null, metadata: {}, portNames: {}, containerId: undefined, timestamp: undefined };
+    } else if (status && tag === 'B4') {
+      status.position = position;
+      status.code = elements[3];
+      status.timestamp = toIsoTimestamp(elements[4], elements[5]);
+      status.containerId = `${elements[7] || ''}${elements[8] || ''}${elements[13] || ''}` || undefined;
+      if (elements[11]) status.metadata.port_code = elements[11];
+      if (elements[9]) status.metadata.equipment_status = elements[9];
+    } else if (status && tag === 'Q2') {
+      if (elements[9]) status.metadata.voyage_no = elements[9];
+      if (elements[13]) status.metadata.vessel_name = elements[13];
+    } else if (status && tag === 'R4') {
+      const [, , , locationId, portName] = elements;
+      if (locationId && portName) status.portNames[locationId] = portName;
+    } else if (status && tag === 'N9' && elements[1] === 'BM') {
+      status.metadata.bill_of_lading = elements[2];
+    } else if (tag === 'SE') {
+      finish();
+    }
+  });
+  finish();
+
+  return { events, errors };
+}
+
+module.exports = {
+  name: 'x12_315',
+  contentTypes: ['application/edi-x12', 'application/x12'],
+  extensions: ['.x12', '.315'],
+  parse
+};
@@ -0,0 +1,149 @@
+// services/analytics.js
+const { isValidTimestamp } = require('./timeUtils');
+const { findLocation } = require('./locationRegistry');
+
+/**
+ * Fleet-wide figures over stored container results: anomaly counts by type
+ * and location, arrival delay per port (from timeline delay_minutes), status
+ * distribution and events per day.
+ *
+ * Filters narrow the timeline entries and anomalies counted:
+ *   from, to - a date (YYYY-MM-DD, to includes the whole day) or a timestamp
+ *   port     - a port code or name; unknown to the registry, it must match exactly
+ * Containers with no timeline entry left after filtering are not counted.
+ *
+ * An anomaly is placed at the event it was raised for, found by timestamp.
+ * Anomalies that match no event (such as results saved without anomaly
+ * timestamps) are placed at the container's current location, or under
+ * "unknown", at their timestamp or else the container's last event time.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 86400000;
+
+function parseBound(value, name, endOfDay) {
+  if (DATE_PATTERN.test(value) && !isNaN(new Date(value))) {
+    return new Date(new Date(`${value}T00:00:00Z`).getTime() + (endOfDay ? DAY_MS - 1 : 0));
+  }
+  if (isValidTimestamp(value)) return new Date(value);
+  throw new Error(`${name} must be a date (YYYY-MM-DD) or an ISO 8601 timestamp`);
+}
+
+// { from, to, port } as given by a query string or the CLI; throws on invalid values
+function parseFilters({ from, to, port } = {}) {
+  const filters = {
+    from: from ? parseBound(from, 'from', false) : null,
+    to: to ? parseBound(to, 'to', true) : null,
+    port: null
+  };
+  if (filters.from && filters.to && filters.from > filters.to) throw new Error('from must not be after to');
+  if (port) {
+    const place = findLocation(port);
+    filters.port = place ? place.code : port;
+  }
+  return filters;
+}
+
+// Nearest-rank percentile of a list of numbers
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.max(Math.ceil((p / 100) * sorted.length) - 1, 0)];
+}
+
+const increment = (counts, key) => {
+  counts[key] = (counts[key] || 0) + 1;
+};
+
+const placeKey = (item) => item.location_code || item.location;
+
+const UNKNOWN_LOCATION = 'unknown';
+
+// Where and when an anomaly is counted: { timestamp, location, location_code }
+function placeAnomaly(anomaly, result) {
+  const timeline = result.timeline || [];
+  const at = anomaly.timestamp && timeline.find(item => item.timestamp === anomaly.timestamp);
+  if (at) return { timestamp: at.timestamp, location: at.location, location_code: at.location_code || null };
+
+  // The code of the current location as the timeline reports it, so it shares a bucket with its events
+  const current = result.current_location ? [...timeline].reverse().find(item => item.location === result.current_location) : null;
+  return {
+    timestamp: anomaly.timestamp || result.last_event_time || null,
+    location: result.current_location || UNKNOWN_LOCATION,
+    location_code: current ? current.location_code || null : null
+  };
+}
+
+function buildAnalytics(results, filters = parseFilters()) {
+  const inRange = (timestamp) => {
+    if (!timestamp) return !filters.from && !filters.to;
+    const t = new Date(timestamp);
+    return (!filters.from || t >= filters.from) && (!filters.to || t <= filters.to);
+  };
+  const atPort = (item) => !filters.port || item.location_code === filters.port || item.location === filters.port;
+
+  const statuses = {};
+  const anomalyTypes = {};
+  const anomalyPlaces = new Map();
+  const delays = new Map();
+  const eventsPerDay = {};
+  let containers = 0;
+  let events = 0;
+  let anomalyTotal = 0;
+
+  results.forEach(result => {
+    const timeline = (result.timeline || []).filter(item => inRange(item.timestamp) && atPort(item));
+    if (timeline.length === 0) return;
+    containers++;
+    events += timeline.length;
+    increment(statuses, result.current_status);
+
+    timeline.forEach(item => {
+      increment(eventsPerDay, item.timestamp.slice(0, 10));
+      if (typeof item.delay_minutes !== 'number') return;
+      const key = placeKey(item);
+      if (!delays.has(key)) delays.set(key, { location: item.location, location_code: item.location_code || null, values: [] });
+      delays.get(key).values.push(item.delay_minutes);
+    });
+
+    (result.anomalies || []).forEach(anomaly => {
+      const at = placeAnomaly(anomaly, result);
+      if (!inRange(at.timestamp) || !atPort(at)) return;
+      anomalyTotal++;
+      increment(anomalyTypes, anomaly.type);
+      const key = placeKey(at);
+      if (!anomalyPlaces.has(key)) anomalyPlaces.set(key, { location: at.location, location_code: at.location_code || null, count: 0, by_type: {} });
+      const place = anomalyPlaces.get(key);
+      place.count++;
+      increment(place.by_type, anomaly.type);
+    });
+  });
+
+  const arrivalDelays = [...delays.values()].map(({ values, ...place }) => ({
+    ...place,
+    arrivals: values.length,
+    avg_delay_minutes: Math.round(values.reduce((sum, v) => sum + v, 0) / values.length),
+    p95_delay_minutes: percentile(values, 95),
+    max_delay_minutes: Math.max(...values)
+  })).sort((a, b) => b.avg_delay_minutes - a.avg_delay_minutes);
+
+  return {
+    filters: {
+      from: filters.from ? filters.from.toISOString() : null,
+      to: filters.to ? filters.to.toISOString() : null,
+      port: filters.port
+    },
+    containers,
+    events,
+    status_distribution: statuses,
+    anomalies: {
+      total: anomalyTotal,
+      by_type: anomalyTypes,
+      by_location: [...anomalyPlaces.values()].sort((a, b) => b.count - a.count)
+    },
+    arrival_delays: arrivalDelays,
+    events_per_day: Object.keys(eventsPerDay).sort().map(date => ({ date, events: eventsPerDay[date] }))
+  };
+}
+
+module.exports = { parseFilters, buildAnalytics, percentile };
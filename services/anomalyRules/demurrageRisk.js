@@ -0,0 +1,18 @@
+// services/anomalyRules/demurrageRisk.js
+
+module.exports = {
+  type: 'demurrage_risk',
+  defaults: { enabled: true, severity: 'high', free_time_days: 5, free_time_days_by_port: {} },
+
+  // Needs context.dwell from dwell.assessDemurrage, which applies these settings' free time.
+  // An open stay keeps growing, so its message names the start instead of the days accrued so far
+  detect(sortedEvents, config, context = {}) {
+    const { dwell = [] } = context;
+    return dwell.filter(period => period.accrued_days > 0).map(period => ({
+      message: period.ended_at
+        ? `Stayed at ${period.location} for ${(period.hours / 24).toFixed(1)} days, past ${period.free_time_days} free days (${period.accrued_days} day(s) of demurrage accrued)`
+        : `Still at ${period.location} since ${period.started_at}, past ${period.free_time_days} free days (free time ended ${period.free_time_ends_at})`,
+      timestamp: period.ended_at || sortedEvents[sortedEvents.length - 1].timestamp
+    }));
+  }
+};
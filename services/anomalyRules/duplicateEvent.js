@@ -0,0 +1,26 @@
+// services/anomalyRules/duplicateEvent.js
+const { hoursBetween } = require('../timeUtils');
+
+module.exports = {
+  type: 'duplicate_event',
+  defaults: { enabled: true, severity: 'low', window_hours: 1 },
+
+  // Compares each event with the next event of the same type only
+  detect(sortedEvents, config) {
+    const anomalies = [];
+    for (let i = 0; i < sortedEvents.length; i++) {
+      const curr = sortedEvents[i];
+      for (let j = i + 1; j < sortedEvents.length; j++) {
+        if (sortedEvents[j].event_type !== curr.event_type) continue;
+        if (hoursBetween(curr.timestamp, sortedEvents[j].timestamp) <= config.window_hours) {
+          anomalies.push({
+            message: `Duplicate ${curr.event_type} within ${config.window_hours} hour${config.window_hours === 1 ? '' : 's'}`,
+            timestamp: sortedEvents[j].timestamp
+          });
+        }
+        break;
+      }
+    }
+    return anomalies;
+  }
+};
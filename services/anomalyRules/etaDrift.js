@@ -0,0 +1,20 @@
+// services/anomalyRules/etaDrift.js
+
+module.exports = {
+  type: 'eta_drift',
+  defaults: { enabled: true, severity: 'medium', threshold_minutes: 240 },
+
+  // Needs context.prediction from etaModel.predictArrival against a planned ETA
+  detect(sortedEvents, config, context = {}) {
+    const { prediction } = context;
+    if (!prediction || !prediction.planned_arrival) return [];
+
+    const driftMinutes = Math.round((new Date(prediction.time) - new Date(prediction.planned_arrival)) / 60000);
+    if (isNaN(driftMinutes) || driftMinutes <= config.threshold_minutes) return [];
+
+    return [{
+      message: `Predicted arrival ${prediction.time} is ${driftMinutes} minutes past the planned ETA`,
+      timestamp: sortedEvents[sortedEvents.length - 1].timestamp
+    }];
+  }
+};
@@ -0,0 +1,69 @@
+// services/anomalyRules/impossibleMovement.js
+const { hoursBetween } = require('../timeUtils');
+const { findLocation, resolveEventLocation, distanceKm, parsePosition } = require('../locationRegistry');
+
+const ARRIVALS = ['port_arrival', 'transshipment_arrival'];
+
+// A leg from a departure or an at-sea position to an arrival or an at-sea position is
+// sailed and held to max_sea_speed_kmh; every other leg (trucks, rail) to max_speed_kmh
+const SEA_LEG_STARTS = ['port_departure', 'transshipment_loading', 'in_transit'];
+const SEA_LEG_ENDS = [...ARRIVALS, 'in_transit'];
+
+const isSeaLeg = (from, to) => SEA_LEG_STARTS.includes(from.event_type) && SEA_LEG_ENDS.includes(to.event_type);
+
+// Coordinates of a registry location, or of an in_transit event's current_position
+function positionOf(event) {
+  const place = resolveEventLocation(event);
+  if (place) return place.coordinates;
+  return parsePosition(event.metadata?.current_position);
+}
+
+// The registry code for a port code when known, so aliases compare equal
+const canonicalCode = (portCode) => {
+  const place = findLocation(portCode);
+  return place ? place.code : String(portCode).trim().toUpperCase();
+};
+
+module.exports = {
+  type: 'impossible_movement',
+  defaults: { enabled: true, severity: 'high', max_speed_kmh: 120, max_sea_speed_kmh: 60, min_distance_km: 50 },
+
+  // Speeds are measured as great-circle distance between known positions, so
+  // they never overstate how fast a container actually moved
+  detect(sortedEvents, config) {
+    const anomalies = [];
+    let previous = null;
+    let headedTo = null;
+
+    sortedEvents.forEach(event => {
+      const position = positionOf(event);
+      if (position && previous) {
+        const km = distanceKm(previous.position, position);
+        const hours = hoursBetween(previous.event.timestamp, event.timestamp);
+        const maxSpeed = isSeaLeg(previous.event, event) ? config.max_sea_speed_kmh : config.max_speed_kmh;
+        if (km > config.min_distance_km && (hours <= 0 || km / hours > maxSpeed)) {
+          const speed = hours > 0 ? `${Math.round(km / hours)} km/h` : 'no time';
+          anomalies.push({
+            message: `Moved ${Math.round(km)} km from ${previous.event.location} to ${event.location} in ${hours.toFixed(1)} hours (${speed}, max ${maxSpeed} km/h)`,
+            timestamp: event.timestamp
+          });
+        }
+      }
+      if (position) previous = { event, position };
+
+      if (event.event_type === 'in_transit' && event.metadata?.next_port_code) {
+        headedTo = event.metadata.next_port_code;
+      } else if (ARRIVALS.includes(event.event_type) && headedTo) {
+        const arrivedAt = event.metadata?.port_code;
+        if (arrivedAt && canonicalCode(arrivedAt) !== canonicalCode(headedTo)) {
+          anomalies.push({
+            message: `Arrived at ${event.location} (${arrivedAt}) but the preceding in_transit event was headed to ${headedTo}`,
+            timestamp: event.timestamp
+          });
+        }
+        headedTo = null;
+      }
+    });
+    return anomalies;
+  }
+};
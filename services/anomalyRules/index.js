@@ -0,0 +1,84 @@
+// services/anomalyRules/index.js
+const fs = require('fs');
+const path = require('path');
+
+const RULES = [
+  require('./lateArrival'),
+  require('./unusualGap'),
+  require('./duplicateEvent'),
+  require('./outOfSequence'),
+  require('./etaDrift'),
+  require('./unknownPortCode'),
+  require('./impossibleMovement'),
+  require('./demurrageRisk'),
+  require('./prolongedHold'),
+  require('./invalidContainerId')
+];
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', '..', 'config', 'anomalyRules.json');
+
+/**
+ * Config files look like:
+ *   { "rules": { "<type>": { ...settings } }, "profiles": { "<name>": { "<type>": { ...settings } } } }
+ * "rules" overrides the built-in defaults of each rule module; a profile
+ * (per shipment mode or per customer) overrides "rules".
+ */
+function loadRulesConfig(filePath = process.env.ANOMALY_RULES_CONFIG || DEFAULT_CONFIG_PATH) {
+  if (!fs.existsSync(filePath)) return { rules: {}, profiles: {} };
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return { rules: parsed.rules || {}, profiles: parsed.profiles || {} };
+}
+
+let defaultConfig = null;
+
+function getDefaultRulesConfig() {
+  if (!defaultConfig) defaultConfig = loadRulesConfig();
+  return defaultConfig;
+}
+
+function hasProfile(name, config = getDefaultRulesConfig()) {
+  return Object.prototype.hasOwnProperty.call(config.profiles, name);
+}
+
+/**
+ * Merges rule defaults, config-file settings, the selected profile and any
+ * per-request overrides into { <type>: settings } for every known rule.
+ */
+function resolveRuleConfig({ config = getDefaultRulesConfig(), profile, overrides = {} } = {}) {
+  const profileSettings = profile ? config.profiles[profile] || {} : {};
+  const resolved = {};
+  RULES.forEach(rule => {
+    resolved[rule.type] = {
+      ...rule.defaults,
+      ...config.rules[rule.type],
+      ...profileSettings[rule.type],
+      ...overrides[rule.type]
+    };
+  });
+  return resolved;
+}
+
+// context carries per-container data rules may need, such as { lifecycle, prediction }
+function runRules(events, ruleConfig = resolveRuleConfig(), context = {}) {
+  if (events.length === 0) return [];
+  const sortedEvents = [...events].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  const anomalies = [];
+  RULES.forEach(rule => {
+    const settings = ruleConfig[rule.type] || rule.defaults;
+    if (settings.enabled === false) return;
+    rule.detect(sortedEvents, settings, context).forEach(found => {
+      anomalies.push({ type: rule.type, severity: settings.severity, ...found });
+    });
+  });
+  return anomalies;
+}
+
+module.exports = {
+  RULES,
+  loadRulesConfig,
+  getDefaultRulesConfig,
+  hasProfile,
+  resolveRuleConfig,
+  runRules
+};
@@ -0,0 +1,13 @@
+// services/anomalyRules/invalidContainerId.js
+
+module.exports = {
+  type: 'invalid_container_id',
+  defaults: { enabled: true, severity: 'medium' },
+
+  // Needs context.containerIdCheck, which is only set with lenient container id validation
+  detect(sortedEvents, config, context = {}) {
+    const { containerIdCheck } = context;
+    if (!containerIdCheck) return [];
+    return [{ message: containerIdCheck.message, timestamp: sortedEvents[0].timestamp }];
+  }
+};
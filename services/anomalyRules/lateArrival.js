@@ -0,0 +1,19 @@
+// services/anomalyRules/lateArrival.js
+const { calculateDelayMinutes } = require('../timeUtils');
+
+module.exports = {
+  type: 'late_arrival',
+  defaults: { enabled: true, severity: 'medium', threshold_minutes: 120 },
+
+  detect(sortedEvents, config) {
+    const anomalies = [];
+    sortedEvents.forEach(curr => {
+      if (curr.event_type !== 'port_arrival' || !curr.metadata?.expected_arrival) return;
+      const delay = calculateDelayMinutes(curr.timestamp, curr.metadata.expected_arrival);
+      if (delay > config.threshold_minutes) {
+        anomalies.push({ message: `Arrived ${delay} minutes late`, timestamp: curr.timestamp });
+      }
+    });
+    return anomalies;
+  }
+};
@@ -0,0 +1,25 @@
+// services/anomalyRules/outOfSequence.js
+const { LIFECYCLES, isAllowedTransition } = require('../lifecycles');
+
+module.exports = {
+  type: 'out_of_sequence',
+  defaults: { enabled: true, severity: 'medium' },
+
+  // Transitions come from the container's lifecycle state machine (FCL when none was selected)
+  detect(sortedEvents, config, context = {}) {
+    const lifecycle = context.lifecycle || LIFECYCLES.fcl;
+    const anomalies = [];
+    for (let i = 0; i < sortedEvents.length - 1; i++) {
+      const currentType = sortedEvents[i].event_type;
+      const nextType = sortedEvents[i + 1].event_type;
+
+      if (!isAllowedTransition(lifecycle, currentType, nextType)) {
+        anomalies.push({
+          message: `Unexpected sequence: '${nextType}' follows '${currentType}' (${lifecycle.mode} lifecycle)`,
+          timestamp: sortedEvents[i + 1].timestamp
+        });
+      }
+    }
+    return anomalies;
+  }
+};
@@ -0,0 +1,18 @@
+// services/anomalyRules/prolongedHold.js
+
+module.exports = {
+  type: 'prolonged_hold',
+  defaults: { enabled: true, severity: 'high', threshold_hours: 48 },
+
+  // Needs context.holds from customsHolds.buildHoldCases; only open cases alert.
+  // An open case keeps growing, so the message names when it opened instead of its hours so far
+  detect(sortedEvents, config, context = {}) {
+    const { holds = [] } = context;
+    return holds
+      .filter(holdCase => holdCase.status === 'open' && holdCase.duration_hours > config.threshold_hours)
+      .map(holdCase => ({
+        message: `${holdCase.kind}${holdCase.hold_reason ? ` (${holdCase.hold_reason})` : ''} at ${holdCase.location} open since ${holdCase.opened_at}, past ${config.threshold_hours} hours`,
+        timestamp: sortedEvents[sortedEvents.length - 1].timestamp
+      }));
+  }
+};
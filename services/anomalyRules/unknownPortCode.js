@@ -0,0 +1,21 @@
+// services/anomalyRules/unknownPortCode.js
+const { hasUnknownPortCode } = require('../locationRegistry');
+
+module.exports = {
+  type: 'unknown_port_code',
+  defaults: { enabled: true, severity: 'low' },
+
+  // Reported once per code, at its first event
+  detect(sortedEvents) {
+    const seen = new Set();
+    return sortedEvents.filter(e => hasUnknownPortCode(e)).filter(e => {
+      const code = String(e.metadata.port_code);
+      if (seen.has(code)) return false;
+      seen.add(code);
+      return true;
+    }).map(e => ({
+      message: `Unknown port code '${e.metadata.port_code}' at ${e.location}`,
+      timestamp: e.timestamp
+    }));
+  }
+};
@@ -0,0 +1,22 @@
+// services/anomalyRules/unusualGap.js
+const { hoursBetween } = require('../timeUtils');
+
+module.exports = {
+  type: 'unusual_gap',
+  defaults: { enabled: true, severity: 'low', threshold_hours: 24 },
+
+  detect(sortedEvents, config) {
+    const anomalies = [];
+    for (let i = 1; i < sortedEvents.length; i++) {
+      const curr = sortedEvents[i];
+      const gapHours = hoursBetween(sortedEvents[i - 1].timestamp, curr.timestamp);
+      if (gapHours > config.threshold_hours) {
+        anomalies.push({
+          message: `Gap of ${Math.round(gapHours)} hours from previous event`,
+          timestamp: curr.timestamp
+        });
+      }
+    }
+    return anomalies;
+  }
+};
@@ -0,0 +1,128 @@
+// services/auth.js
+const crypto = require('crypto');
+const fs = require('fs');
+const { DEFAULT_TENANT, TENANT_PATTERN } = require('./eventStore');
+
+/**
+ * Who is calling the API. A principal is { subject, tenant, roles }; the
+ * tenant selects the event store the caller sees. Two credentials are
+ * accepted:
+ *   X-API-Key: <key>       keys listed in API_KEYS_FILE as
+ *                          { name, tenant, roles, key_sha256 } (only the hash is kept)
+ *   Authorization: Bearer  an HS256 JWT signed with JWT_SECRET, with claims
+ *                          { sub, tenant, roles, exp }
+ * AUTH_DISABLED=true treats every caller as the default tenant with all roles,
+ * for local development only.
+ */
+
+// viewer: read results; operator: process events and manage subscriptions;
+// file_processor: process files from the data directory
+const ROLES = ['viewer', 'operator', 'file_processor'];
+
+let apiKeys = null;
+
+const isAuthDisabled = () => process.env.AUTH_DISABLED === 'true';
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function checkPrincipal(principal, where) {
+  if (typeof principal.tenant !== 'string' || !TENANT_PATTERN.test(principal.tenant)) {
+    throw new Error(`Invalid tenant for ${where}`);
+  }
+  if (!Array.isArray(principal.roles) || principal.roles.some(role => !ROLES.includes(role))) {
+    throw new Error(`roles must be an array of ${ROLES.join(', ')} for ${where}`);
+  }
+}
+
+// Parses and indexes an API key file by key hash; invalid entries fail on load
+function loadApiKeys(filePath = process.env.API_KEYS_FILE) {
+  const byHash = new Map();
+  if (!filePath) return byHash;
+  JSON.parse(fs.readFileSync(filePath, 'utf8')).forEach(entry => {
+    const where = `API key ${JSON.stringify(entry.name)} in ${filePath}`;
+    if (!entry.name || !/^[0-9a-f]{64}$/.test(entry.key_sha256)) throw new Error(`Missing name or key_sha256 for ${where}`);
+    checkPrincipal(entry, where);
+    byHash.set(entry.key_sha256, { subject: entry.name, tenant: entry.tenant, roles: entry.roles });
+  });
+  return byHash;
+}
+
+function getApiKeys() {
+  if (!apiKeys) apiKeys = loadApiKeys();
+  return apiKeys;
+}
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+// Claims of a valid HS256 token; throws when it is malformed, forged, without exp, expired or not yet valid
+function verifyJwt(token, secret, now = Date.now()) {
+  const parts = token.split('.');
+  if (parts.length !== 3) throw new Error('Malformed token');
+  const [header, payload, signature] = parts;
+
+  let claims;
+  try {
+    if (decodeSegment(header).alg !== 'HS256') throw new Error();
+    claims = decodeSegment(payload);
+    if (!claims || typeof claims !== 'object') throw new Error();
+  } catch (err) {
+    throw new Error('Malformed token');
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest();
+  const given = Buffer.from(signature, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new Error('Invalid token signature');
+  }
+
+  const seconds = now / 1000;
+  if (typeof claims.exp !== 'number') throw new Error('Token has no exp claim');
+  if (seconds >= claims.exp) throw new Error('Token expired');
+  if (typeof claims.nbf === 'number' && seconds < claims.nbf) throw new Error('Token not yet valid');
+  return claims;
+}
+
+// Tokens for tests and internal tooling; claims must include an exp
+function signJwt(claims, secret) {
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * The principal for a request's credentials: { principal } or { error }.
+ * apiKey is the X-API-Key header, authorization the Authorization header.
+ */
+function authenticate({ apiKey, authorization }) {
+  if (isAuthDisabled()) return { principal: { subject: 'anonymous', tenant: DEFAULT_TENANT, roles: [...ROLES] } };
+
+  if (apiKey) {
+    const principal = getApiKeys().get(hashApiKey(apiKey));
+    return principal ? { principal } : { error: 'Unknown API key' };
+  }
+
+  const bearer = /^Bearer\s+(\S+)$/i.exec(authorization || '');
+  if (!bearer) return { error: 'An API key (X-API-Key) or a bearer token is required' };
+  if (!process.env.JWT_SECRET) return { error: 'Bearer tokens are not accepted' };
+  try {
+    const claims = verifyJwt(bearer[1], process.env.JWT_SECRET);
+    const principal = { subject: claims.sub || null, tenant: claims.tenant, roles: claims.roles };
+    checkPrincipal(principal, 'token');
+    return { principal };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+module.exports = {
+  ROLES,
+  isAuthDisabled,
+  hashApiKey,
+  loadApiKeys,
+  verifyJwt,
+  signJwt,
+  authenticate
+};
@@ -0,0 +1,108 @@
+// services/containerId.js
+
+/**
+ * ISO 6346 container numbers: a three-letter owner code, a category
+ * identifier (U, J or Z), a six-digit serial number and a check digit,
+ * e.g. CSQU3054383. Written forms such as 'CSQU 305438 3' are accepted.
+ *
+ * Validation is configurable per request or with CONTAINER_ID_VALIDATION:
+ *   strict  - invalid ids are rejected as invalid_container_id
+ *   lenient - events are accepted and the result gets an invalid_container_id anomaly
+ *   off     - any non-empty string is an id (default)
+ */
+
+const CONTAINER_ID_MODES = ['strict', 'lenient', 'off'];
+const ISO_6346_PATTERN = /^[A-Z]{3}[UJZ]\d{7}$/;
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const DIGITS = '0123456789';
+
+// Letter values run from A = 10 upwards, skipping multiples of 11
+const LETTER_VALUES = {};
+let nextValue = 10;
+for (const letter of LETTERS) {
+  if (nextValue % 11 === 0) nextValue++;
+  LETTER_VALUES[letter] = nextValue++;
+}
+
+function getContainerIdMode() {
+  const mode = process.env.CONTAINER_ID_VALIDATION || 'off';
+  if (!CONTAINER_ID_MODES.includes(mode)) {
+    throw new Error(`CONTAINER_ID_VALIDATION must be one of ${CONTAINER_ID_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+// Uppercase without the spaces and hyphens of written forms
+function compactContainerId(id) {
+  return String(id).toUpperCase().replace(/[\s-]/g, '');
+}
+
+// Check digit of the first ten characters of a well-formed id
+function checkDigit(id) {
+  let sum = 0;
+  for (let i = 0; i < 10; i++) {
+    const ch = id[i];
+    sum += (LETTER_VALUES[ch] !== undefined ? LETTER_VALUES[ch] : Number(ch)) * 2 ** i;
+  }
+  return (sum % 11) % 10;
+}
+
+function isValidContainerId(id) {
+  const compact = compactContainerId(id);
+  return ISO_6346_PATTERN.test(compact) && checkDigit(compact) === Number(compact[10]);
+}
+
+// Valid ids one substituted character away from an 11-character id
+function singleCharacterCorrections(compact) {
+  if (compact.length !== 11) return [];
+  const candidates = [];
+  for (let i = 0; i < 11; i++) {
+    const alphabet = i < 3 ? LETTERS : i === 3 ? 'UJZ' : DIGITS;
+    for (const ch of alphabet) {
+      if (ch === compact[i]) continue;
+      const candidate = compact.slice(0, i) + ch + compact.slice(i + 1);
+      if (isValidContainerId(candidate)) candidates.push(candidate);
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Checks an id against ISO 6346. Returns null when it is valid, else
+ * { code, message, suggestion }. The suggestion is a single-character
+ * correction: one of knownIds when exactly one matches (the container the
+ * typo split off from), otherwise the id with its check digit corrected.
+ */
+function checkContainerId(id, knownIds = new Set()) {
+  const compact = compactContainerId(id);
+  if (ISO_6346_PATTERN.test(compact) && checkDigit(compact) === Number(compact[10])) return null;
+
+  const candidates = singleCharacterCorrections(compact);
+  const known = candidates.filter(candidate => knownIds.has(candidate));
+  let suggestion = null;
+  if (known.length === 1) {
+    suggestion = known[0];
+  } else if (ISO_6346_PATTERN.test(compact)) {
+    suggestion = compact.slice(0, 10) + checkDigit(compact);
+  } else if (candidates.length === 1) {
+    suggestion = candidates[0];
+  }
+
+  const problem = ISO_6346_PATTERN.test(compact)
+    ? `has check digit ${compact[10]}, expected ${checkDigit(compact)}`
+    : 'is not an ISO 6346 container number (owner code, U/J/Z, six-digit serial, check digit)';
+  return {
+    code: 'invalid_container_id',
+    message: `container_id '${id}' ${problem}${suggestion ? `; did you mean '${suggestion}'?` : ''}`,
+    suggestion
+  };
+}
+
+module.exports = {
+  CONTAINER_ID_MODES,
+  getContainerIdMode,
+  compactContainerId,
+  checkDigit,
+  isValidContainerId,
+  checkContainerId
+};
@@ -1,4 +1,16 @@
 // services/containerProcessor.js
+const { calculateDelayMinutes, isValidTimestamp, offsetOf, toUtc, formatAtOffset, formatInTimeZone } = require('./timeUtils');
+const { findLocation, resolveEventLocation, describeLocation } = require('./locationRegistry');
+const { runRules, resolveRuleConfig } = require('./anomalyRules');
+const { selectLifecycle, getLifecycleState, getStatus } = require('./lifecycles');
+const { calculateJourney } = require('./journey');
+const { calculateDwell, assessDemurrage } = require('./dwell');
+const { buildHoldCases } = require('./customsHolds');
+const { createEtaModel, learnFromHistory, predictArrival } = require('./etaModel');
+const { eventKey, isSameEvent, indexByIdentity, describeConflict } = require('./eventIdentity');
+const { ACTIONS, applyCorrections, isKnownRef } = require('./corrections');
+const { compareResults } = require('./resultDiff');
+const { getContainerIdMode, compactContainerId, isValidContainerId, checkContainerId } = require('./containerId');
 
 const VALID_EVENT_TYPES = [
   'port_arrival', 'port_departure', 'customs_clearance', 'customs_hold',
@@ -17,39 +29,101 @@ const REQUIRED_METADATA = {
   in_transit: ['voyage_status']
 };
 
-function isValidISO8601(dateString) {
-  if (!dateString || typeof dateString !== 'string') return false;
-  const date = new Date(dateString);
-  return !isNaN(date) && dateString.includes('T') && dateString.endsWith('Z');
+const TIMESTAMP_MESSAGE = 'timestamp must be a valid ISO 8601 date-time with Z or a UTC offset (e.g. +08:00)';
+
+// Timestamps are kept in UTC; a non-UTC original offset is kept as timestamp_offset
+function normalizeTimestamp(event) {
+  const offset = offsetOf(event.timestamp);
+  if (offset === 'Z') return event;
+  return { ...event, timestamp: toUtc(event.timestamp), timestamp_offset: offset };
+}
+
+// Locations known to the registry are kept under their canonical name; the text sent is kept as reported_location
+function normalizeLocation(event) {
+  const known = findLocation(event.location);
+  if (!known || known.name === event.location) return event;
+  return { ...event, location: known.name, reported_location: event.location };
+}
+
+// Valid ISO 6346 ids written with spaces, hyphens or lowercase are stored compact
+function normalizeContainerId(event) {
+  const compact = compactContainerId(event.container_id);
+  if (compact === event.container_id || !isValidContainerId(compact)) return event;
+  return { ...event, container_id: compact };
+}
+
+function normalizeEvent(event, containerIds) {
+  const normalized = normalizeLocation(normalizeTimestamp(event));
+  return containerIds === 'off' ? normalized : normalizeContainerId(normalized);
+}
+
+// Local time at the event's port, else at the offset it was sent with
+function localTime(event, place) {
+  if (place) return { local_time: formatInTimeZone(event.timestamp, place.timezone), timezone: place.timezone };
+  if (event.timestamp_offset) return { local_time: formatAtOffset(event.timestamp, event.timestamp_offset) };
+  return {};
 }
 
-function validateEvent(event, index) {
+// Each error is { index, field, code, message } so clients can map it to the offending field.
+// options.containerIds 'strict' also checks container_id against ISO 6346 (see containerId.js),
+// suggesting a correction from options.knownContainerIds.
+function validateEvent(event, index, options = {}) {
   const errors = [];
+  const issue = (field, code, message, extra) => errors.push({ index, field, code, message, ...extra });
+
+  if (!event || typeof event !== 'object' || Array.isArray(event)) {
+    issue(null, 'invalid_event', 'event must be an object');
+    return errors;
+  }
 
   if (!event.container_id || typeof event.container_id !== 'string' || event.container_id.trim() === '') {
-    errors.push(`Event ${index}: container_id is required and must be a non-empty string`);
+    issue('container_id', 'required', 'container_id is required and must be a non-empty string');
+  } else if (options.containerIds === 'strict') {
+    const problem = checkContainerId(event.container_id, options.knownContainerIds);
+    if (problem) issue('container_id', problem.code, problem.message, { suggestion: problem.suggestion });
+  }
+
+  if (event.event_id !== undefined && (typeof event.event_id !== 'string' || event.event_id.trim() === '')) {
+    issue('event_id', 'invalid_event_id', 'event_id must be a non-empty string when present');
+  }
+
+  if (event.action !== undefined) {
+    if (!ACTIONS.includes(event.action)) {
+      issue('action', 'invalid_action', `action must be one of: ${ACTIONS.join(', ')}`);
+    }
+    if (!event.references || typeof event.references !== 'string') {
+      issue('references', 'required', `references is required for a ${event.action} and must be an event ref`);
+    }
+  }
+
+  // A cancellation only needs to say which event it cancels and when
+  if (event.action === 'cancellation') {
+    if (!isValidTimestamp(event.timestamp)) {
+      issue('timestamp', 'invalid_timestamp', TIMESTAMP_MESSAGE);
+    }
+    return errors;
   }
 
   if (!VALID_EVENT_TYPES.includes(event.event_type)) {
-    errors.push(`Event ${index}: Invalid event_type '${event.event_type}'`);
+    issue('event_type', 'invalid_event_type', `Invalid event_type '${event.event_type}'`);
   }
 
-  if (!isValidISO8601(event.timestamp)) {
-    errors.push(`Event ${index}: timestamp must be valid ISO 8601 with Z suffix`);
+  if (!isValidTimestamp(event.timestamp)) {
+    issue('timestamp', 'invalid_timestamp', TIMESTAMP_MESSAGE);
   }
 
   if (!event.location || typeof event.location !== 'string' || event.location.trim() === '') {
-    errors.push(`Event ${index}: location is required and must be a non-empty string`);
+    issue('location', 'required', 'location is required and must be a non-empty string');
   }
 
   const required = REQUIRED_METADATA[event.event_type] || [];
   if (required.length > 0) {
     if (!event.metadata || typeof event.metadata !== 'object') {
-      errors.push(`Event ${index}: metadata object is required for '${event.event_type}'`);
+      issue('metadata', 'required', `metadata object is required for '${event.event_type}'`);
     } else {
       required.forEach(field => {
         if (!(field in event.metadata)) {
-          errors.push(`Event ${index}: metadata.${field} is required for '${event.event_type}'`);
+          issue(`metadata.${field}`, 'required', `metadata.${field} is required for '${event.event_type}'`);
         }
       });
     }
@@ -58,170 +132,227 @@ function validateEvent(event, index) {
   return errors;
 }
 
-function calculateDelayMinutes(actual, expected) {
-  if (!expected) return null;
-  const a = new Date(actual);
-  const e = new Date(expected);
-  if (isNaN(a) || isNaN(e)) return null;
-  return Math.round((a - e) / (1000 * 60));
+function detectAnomalies(events, ruleConfig, context = {}) {
+  return runRules(events, ruleConfig, { lifecycle: selectLifecycle(events), ...context });
 }
 
-function detectAnomalies(events) {
-  if (events.length === 0) return [];
-
-  const anomalies = [];
-  const sortedEvents = [...events].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-
-  // 1. Late arrival
-  // 2. Unusual gap
-  // 3. Duplicate events
-  for (let i = 0; i < sortedEvents.length; i++) {
-    const curr = sortedEvents[i];
-
-    if (curr.event_type === 'port_arrival' && curr.metadata?.expected_arrival) {
-      const delay = calculateDelayMinutes(curr.timestamp, curr.metadata.expected_arrival);
-      if (delay > 120) {
-        anomalies.push({
-          type: 'late_arrival',
-          message: `Arrived ${delay} minutes late`,
-          timestamp: curr.timestamp
-        });
-      }
-    }
-
-    if (i > 0) {
-      const gapHours = (new Date(curr.timestamp) - new Date(sortedEvents[i - 1].timestamp)) / (3600000);
-      if (gapHours > 24) {
-        anomalies.push({
-          type: 'unusual_gap',
-          message: `Gap of ${Math.round(gapHours)} hours from previous event`,
-          timestamp: curr.timestamp
-        });
-      }
-    }
-
-    for (let j = i + 1; j < sortedEvents.length; j++) {
-      if (sortedEvents[j].event_type === curr.event_type) {
-        const diffHours = (new Date(sortedEvents[j].timestamp) - new Date(curr.timestamp)) / 3600000;
-        if (diffHours <= 1) {
-          anomalies.push({
-            type: 'duplicate_event',
-            message: `Duplicate ${curr.event_type} within 1 hour`,
-            timestamp: sortedEvents[j].timestamp
-          });
-        }
-        break;
-      }
-    }
-  }
+function sortByTimestamp(events) {
+  return [...events].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
 
-  // 4. Out of sequence - FIXED VERSION
-  const sequenceRules = {
-    port_arrival: ['customs_clearance', 'customs_hold', 'customs_inspection', 'documentation_hold', 'port_departure'],
-    customs_clearance: ['port_departure', 'in_transit'],
-    customs_hold: ['customs_clearance', 'customs_inspection'],
-    customs_inspection: ['customs_clearance'],
-    documentation_hold: ['customs_clearance', 'port_departure'],
-    port_departure: ['in_transit', 'transshipment_arrival', 'port_arrival'],
-    in_transit: ['port_arrival', 'transshipment_arrival'],
-    transshipment_arrival: ['transshipment_loading', 'port_departure', 'in_transit'],
-    transshipment_loading: ['port_departure', 'in_transit']
-    // Add more as needed
+// Every event of the container has been cancelled
+function buildCancelledResult(id) {
+  return {
+    container_id: id,
+    current_status: 'Cancelled',
+    current_location: null,
+    current_location_details: null,
+    last_event_time: null,
+    total_events: 0,
+    journey_progress: 0,
+    journey: null,
+    predicted_arrival: null,
+    lifecycle: null,
+    dwell: [],
+    customs_holds: [],
+    anomalies: [],
+    timeline: []
   };
+}
 
-  for (let i = 0; i < sortedEvents.length - 1; i++) {
-    const currentType = sortedEvents[i].event_type;
-    const nextType = sortedEvents[i + 1].event_type;
-    const allowed = sequenceRules[currentType] || [];
+// entries is the effective history from applyCorrections
+// containerIds 'lenient' adds the ISO 6346 check of the id for the invalid_container_id rule;
+// open dwell periods are measured up to asOf
+function buildContainerResult(id, entries, ruleConfig, route, etaModel, containerIds = 'off', knownContainerIds, asOf = new Date()) {
+  if (entries.length === 0) return buildCancelledResult(id);
+  const sortedEntries = [...entries].sort((a, b) => new Date(a.event.timestamp) - new Date(b.event.timestamp));
+  const sorted = sortedEntries.map(entry => entry.event);
+  const last = sorted[sorted.length - 1];
+  const lifecycle = selectLifecycle(sorted);
+  const { progress, journey } = calculateJourney(sorted, lifecycle, route);
+  const prediction = etaModel ? predictArrival(etaModel, sorted, route) : null;
+  const demurrageSettings = (ruleConfig && ruleConfig.demurrage_risk) || resolveRuleConfig().demurrage_risk;
+  const dwell = assessDemurrage(calculateDwell(sorted, asOf), demurrageSettings);
+  const holds = buildHoldCases(sorted, asOf);
+  const containerIdCheck = containerIds === 'lenient' ? checkContainerId(id, knownContainerIds) : null;
+  const anomalies = detectAnomalies(sorted, ruleConfig, { lifecycle, prediction, dwell, holds, containerIdCheck });
 
-    if (!allowed.includes(nextType)) {
-      anomalies.push({
-        type: 'out_of_sequence',
-        message: `Unexpected sequence: '${nextType}' follows '${currentType}'`,
-        timestamp: sortedEvents[i + 1].timestamp
-      });
+  const timeline = sortedEntries.map(({ ref, event: e, corrected }) => {
+    const place = resolveEventLocation(e);
+    const item = {
+      event_type: e.event_type,
+      timestamp: e.timestamp,
+      location: e.location,
+      location_code: place ? place.code : null,
+      ...localTime(e, place),
+      event_ref: ref
+    };
+    if (corrected) item.corrected = true;
+    if (e.event_type === 'port_arrival' && e.metadata?.expected_arrival) {
+      const delay = calculateDelayMinutes(e.timestamp, e.metadata.expected_arrival);
+      if (delay !== null) item.delay_minutes = delay;
     }
-  }
+    return item;
+  });
 
-  return anomalies;
+  return {
+    container_id: id,
+    current_status: getStatus(sorted),
+    current_location: last.location,
+    current_location_details: describeLocation(resolveEventLocation(last)),
+    last_event_time: last.timestamp,
+    total_events: sorted.length,
+    journey_progress: progress,
+    journey,
+    predicted_arrival: prediction,
+    lifecycle: getLifecycleState(lifecycle, sorted),
+    dwell,
+    customs_holds: holds,
+    anomalies: anomalies.map(a => ({ type: a.type, severity: a.severity, message: a.message, timestamp: a.timestamp })),
+    timeline
+  };
 }
 
-function getCurrentStatus(lastEvent) {
-  const map = {
-    port_arrival: 'At Port',
-    port_departure: 'Departed Port',
-    customs_clearance: 'Cleared Customs',
-    customs_hold: 'Held at Customs',
-    in_transit: 'In Transit',
-    lcl_delivery: 'Delivered',
-    port_arrival: 'Arrived at Destination'
+// A result with the time open port stays and holds have lasted so far left
+// out: they grow with asOf, so on their own they are not a new version
+function withoutElapsedTime(result) {
+  if (!result) return result;
+  return {
+    ...result,
+    dwell: (result.dwell || []).map(period => period.ended_at ? period : { ...period, hours: null, accrued_days: null }),
+    customs_holds: (result.customs_holds || []).map(holdCase => holdCase.status === 'open' ? { ...holdCase, duration_hours: null } : holdCase)
   };
-  return map[lastEvent.event_type] || 'In Progress';
 }
 
-function calculateJourneyProgress(events) {
-  if (events.length === 0) return 0;
-  const milestones = ['port_arrival', 'customs_clearance', 'port_departure', 'in_transit', 'port_arrival'];
-  let count = 0;
-  const seen = new Set();
-  for (const e of events) {
-    if (milestones[count] === e.event_type && !seen.has(e.event_type)) {
-      seen.add(e.event_type);
-      count++;
-    }
-  }
-  return Math.round((count / milestones.length) * 100);
+// Why a container's result is being recomputed: what this batch added or amended
+function describeCause(newEvents, previous) {
+  const plain = newEvents.filter(e => !e.action);
+  const lastKnown = previous ? new Date(previous.last_event_time) : null;
+  return {
+    events_added: plain.length,
+    late_events: lastKnown ? plain.filter(e => new Date(e.timestamp) < lastKnown).length : 0,
+    corrections: newEvents.filter(e => e.action === 'correction').map(e => e.references),
+    cancellations: newEvents.filter(e => e.action === 'cancellation').map(e => e.references)
+  };
 }
 
-function processContainerEvents(events) {
-  const validationErrors = [];
-  events.forEach((event, idx) => {
-    validationErrors.push(...validateEvent(event, idx));
+/**
+ * Validates and processes events grouped by container_id.
+ * When options.store is given, events are appended to it and each touched
+ * container is recomputed over its full stored history.
+ * options.rules is a resolved anomaly rule config (see anomalyRules.resolveRuleConfig).
+ * options.routes maps container_id to a planned route (see journey.js); stored
+ * routes are reused for containers without one.
+ * options.etaModel collects dwell and transit history for ETA prediction; a
+ * fresh model learned from this batch only is used when none is given.
+ * options.onResult(result, previous) is called for every recomputed container,
+ * with its previously stored result (or null).
+ * options.containerIds selects ISO 6346 validation: 'strict', 'lenient' or
+ * 'off' (default from CONTAINER_ID_VALIDATION, see containerId.js).
+ * options.asOf is the time open port stays and holds are measured up to
+ * (default now). options.recordHistory false stores results without
+ * recording result versions.
+ *
+ * By default one invalid event rejects the whole batch. With
+ * options.mode === 'partial' every valid event is processed and the result is
+ * { results, rejected }, where rejected lists { index, event, errors }.
+ */
+function processContainerEvents(events, options = {}) {
+  const { store, mode = 'strict', rules, routes = {}, etaModel = createEtaModel(), onResult, containerIds = getContainerIdMode(), asOf = new Date(), recordHistory = true } = options;
+  const containers = {};
+  const known = {};
+  const rejected = [];
+  // Stored and batch containers a mis-keyed id most likely belongs to
+  const knownContainerIds = new Set(containerIds !== 'off' && store ? store.listContainerIds() : []);
+  if (containerIds !== 'off') {
+    events.forEach(e => {
+      if (e && typeof e.container_id === 'string' && isValidContainerId(e.container_id)) knownContainerIds.add(compactContainerId(e.container_id));
+    });
+  }
+
+  // Exact duplicates of stored or earlier events (retries) are dropped silently;
+  // conflicting duplicates and amendments of unknown events are rejected like invalid events
+  events.forEach((original, idx) => {
+    const errors = validateEvent(original, idx, { containerIds, knownContainerIds });
+    if (errors.length > 0) {
+      rejected.push({ index: idx, event: original, errors });
+      return;
+    }
+    const event = normalizeEvent(original, containerIds);
+
+    const id = event.container_id;
+    if (!containers[id]) {
+      containers[id] = [];
+      known[id] = indexByIdentity(store ? store.getEvents(id) : []);
+    }
+    if (event.action && !isKnownRef(known[id], event.references)) {
+      rejected.push({
+        index: idx,
+        event,
+        errors: [{ index: idx, field: 'references', code: 'unknown_reference', message: `No earlier event '${event.references}' for container ${id}` }]
+      });
+      return;
+    }
+
+    const key = eventKey(event);
+    const existing = known[id].get(key);
+    if (!existing) {
+      known[id].set(key, event);
+      containers[id].push(event);
+    } else if (!isSameEvent(existing, event)) {
+      const field = event.event_id !== undefined ? 'event_id' : null;
+      rejected.push({
+        index: idx,
+        event,
+        errors: [{ index: idx, field, code: 'conflicting_duplicate', message: describeConflict(event, existing) }],
+        conflicts_with: existing
+      });
+    }
   });
 
-  if (validationErrors.length > 0) {
+  if (mode !== 'partial' && rejected.length > 0) {
+    const validationErrors = rejected.flatMap(r => r.errors);
     return { error: 'Validation failed', validation_errors: validationErrors };
   }
 
-  const containers = {};
-  events.forEach(e => {
-    if (!containers[e.container_id]) containers[e.container_id] = [];
-    containers[e.container_id].push(e);
-  });
+  // Learn from every touched history first so predictions see the whole batch;
+  // a file store writes everything once at the end
+  const recompute = () => {
+    const histories = {};
+    for (const id in containers) {
+      const stored = store ? store.append(id, containers[id]) : containers[id];
+      histories[id] = applyCorrections(stored).entries;
+      if (store && routes[id]) store.saveRoute(id, routes[id]);
+      learnFromHistory(etaModel, id, sortByTimestamp(histories[id].map(entry => entry.event)));
+    }
 
-  const results = [];
-  for (const id in containers) {
-    const evts = containers[id];
-    const sorted = evts.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-    const last = sorted[sorted.length - 1];
-    const anomalies = detectAnomalies(evts);
-
-    const timeline = sorted.map(e => {
-      const item = {
-        event_type: e.event_type,
-        timestamp: e.timestamp,
-        location: e.location
-      };
-      if (e.event_type === 'port_arrival' && e.metadata?.expected_arrival) {
-        const delay = calculateDelayMinutes(e.timestamp, e.metadata.expected_arrival);
-        if (delay !== null) item.delay_minutes = delay;
+    const results = [];
+    for (const id in histories) {
+      const route = routes[id] || (store ? store.getRoute(id) : null);
+      const result = buildContainerResult(id, histories[id], rules, route, etaModel, containerIds, knownContainerIds, asOf);
+      const previous = store ? store.getResult(id) : null;
+      // A new version is only recorded when the result actually changed, not
+      // when open periods were merely measured up to a later asOf
+      if (store && JSON.stringify(previous) !== JSON.stringify(result)) {
+        const changed = JSON.stringify(withoutElapsedTime(previous)) !== JSON.stringify(withoutElapsedTime(result));
+        store.saveResult(id, result, recordHistory && changed
+          ? { cause: describeCause(containers[id], previous), changes: previous ? compareResults(previous, result) : null }
+          : null);
       }
-      return item;
-    });
-
-    results.push({
-      container_id: id,
-      current_status: getCurrentStatus(last),
-      current_location: last.location,
-      last_event_time: last.timestamp,
-      total_events: evts.length,
-      journey_progress: calculateJourneyProgress(evts),
-      anomalies: anomalies.map(a => ({ type: a.type, message: a.message })),
-      timeline
-    });
-  }
+      if (onResult) onResult(result, previous);
+      results.push(result);
+    }
+    return results;
+  };
 
-  return results;
+  const results = store ? store.batch(recompute) : recompute();
+  return mode === 'partial' ? { results, rejected } : results;
 }
 
-module.exports = { processContainerEvents };
\ No newline at end of file
+module.exports = {
+  VALID_EVENT_TYPES,
+  REQUIRED_METADATA,
+  processContainerEvents,
+  validateEvent,
+  detectAnomalies
+};
@@ -0,0 +1,65 @@
+// services/corrections.js
+const { eventRef, eventKey, refKeys } = require('./eventIdentity');
+
+/**
+ * Corrections and cancellations amend an earlier event of the same container:
+ *   { action: 'correction', references: '<event ref>', ...the full corrected event }
+ *   { action: 'cancellation', references: '<event ref>', container_id, timestamp }
+ * An event ref is the event's event_id, or the 'hash:<content hash>' shown as
+ * event_ref in the timeline for events without one. A later correction may
+ * reference the original event or an earlier correction of it.
+ *
+ * Amendments are stored like any other event and applied whenever the
+ * history is read, so the stored history stays a complete audit trail.
+ */
+
+const ACTIONS = ['correction', 'cancellation'];
+
+/**
+ * Applies amendments in arrival order. Returns the effective history as
+ * entries { ref, event, corrected } (ref of the original event), plus the
+ * refs of the cancelled events.
+ */
+function applyCorrections(events) {
+  const effective = new Map();
+  const aliases = new Map();
+  const cancelled = new Set();
+
+  const resolve = (ref) => {
+    for (const key of refKeys(ref)) {
+      if (aliases.has(key)) return aliases.get(key);
+      if (effective.has(key) || cancelled.has(key)) return key;
+    }
+    return null;
+  };
+
+  events.forEach(event => {
+    const key = eventKey(event);
+    if (!event.action) {
+      if (!effective.has(key)) effective.set(key, { ref: eventRef(event), event, corrected: false });
+      return;
+    }
+
+    const target = resolve(event.references);
+    if (!target || cancelled.has(target)) return;
+    aliases.set(key, target);
+    if (event.action === 'cancellation') {
+      cancelled.add(target);
+      effective.delete(target);
+    } else {
+      effective.set(target, { ...effective.get(target), event, corrected: true });
+    }
+  });
+
+  return {
+    entries: [...effective.values()],
+    cancelled: [...cancelled].map(key => (key.startsWith('id:') ? key.slice(3) : key))
+  };
+}
+
+// True when ref names an event of the history (original, amended or cancelled)
+function isKnownRef(knownKeys, ref) {
+  return refKeys(ref).some(key => knownKeys.has(key));
+}
+
+module.exports = { ACTIONS, applyCorrections, isKnownRef };
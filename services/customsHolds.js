@@ -0,0 +1,84 @@
+// services/customsHolds.js
+const { hoursBetween, toUtc } = require('./timeUtils');
+
+/**
+ * Customs holds as cases. customs_hold, customs_inspection and
+ * documentation_hold each open a case of that kind (a repeated event of a
+ * kind already open belongs to the open case). customs_clearance resolves
+ * every open case; a departure or delivery resolves them too, since the
+ * container has been released.
+ *
+ * Open cases are measured up to asOf, like open dwell periods (now by default,
+ * and never before the latest event); listOpenHolds measures them up to now
+ * for the brokers' worklist.
+ */
+
+const HOLD_EVENTS = ['customs_hold', 'customs_inspection', 'documentation_hold'];
+const RELEASE_EVENTS = ['customs_clearance', 'port_departure', 'transshipment_loading', 'lcl_delivery'];
+
+const round = (n) => Math.round(n * 10) / 10;
+
+// Hold cases of a container's sorted events, in the order they opened
+function buildHoldCases(sortedEvents, asOf = new Date()) {
+  if (sortedEvents.length === 0) return [];
+  const lastEventAt = new Date(sortedEvents[sortedEvents.length - 1].timestamp);
+  const measuredTo = toUtc(Math.max(new Date(asOf).getTime(), lastEventAt.getTime()));
+  const cases = [];
+  const open = new Map();
+
+  sortedEvents.forEach(event => {
+    if (HOLD_EVENTS.includes(event.event_type)) {
+      if (open.has(event.event_type)) return;
+      const holdCase = {
+        kind: event.event_type,
+        status: 'open',
+        hold_reason: event.metadata?.hold_reason || null,
+        location: event.location,
+        opened_at: event.timestamp,
+        resolved_at: null,
+        resolved_by: null
+      };
+      open.set(event.event_type, holdCase);
+      cases.push(holdCase);
+    } else if (RELEASE_EVENTS.includes(event.event_type)) {
+      open.forEach(holdCase => {
+        Object.assign(holdCase, { status: 'closed', resolved_at: event.timestamp, resolved_by: event.event_type });
+      });
+      open.clear();
+    }
+  });
+
+  return cases.map(holdCase => ({
+    ...holdCase,
+    duration_hours: round(hoursBetween(holdCase.opened_at, holdCase.resolved_at || measuredTo))
+  }));
+}
+
+/**
+ * The worklist: open cases across container results, longest open first.
+ * Each item carries open_for_hours (up to now) and overdue (past
+ * thresholdHours). options: { now, thresholdHours, minHours, reason, kind }
+ */
+function listOpenHolds(results, { now = new Date(), thresholdHours, minHours = 0, reason, kind } = {}) {
+  const items = [];
+  results.forEach(result => {
+    (result.customs_holds || []).filter(c => c.status === 'open').forEach(holdCase => {
+      const openFor = round(hoursBetween(holdCase.opened_at, now));
+      items.push({
+        container_id: result.container_id,
+        current_status: result.current_status,
+        ...holdCase,
+        open_for_hours: openFor,
+        overdue: thresholdHours !== undefined && openFor > thresholdHours
+      });
+    });
+  });
+
+  return items
+    .filter(item => item.open_for_hours >= minHours)
+    .filter(item => !reason || item.hold_reason === reason)
+    .filter(item => !kind || item.kind === kind)
+    .sort((a, b) => new Date(a.opened_at) - new Date(b.opened_at));
+}
+
+module.exports = { HOLD_EVENTS, buildHoldCases, listOpenHolds };
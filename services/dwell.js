@@ -0,0 +1,100 @@
+// services/dwell.js
+const { hoursBetween, toUtc } = require('./timeUtils');
+const { resolveEventLocation } = require('./locationRegistry');
+
+/**
+ * Dwell time: how long a container sat at a port (arrival to departure, or
+ * to the first event showing it moved on when no departure is reported) or
+ * under a customs hold (customs_hold to customs_clearance). Periods still
+ * open are measured up to asOf (now by default, and never before the latest
+ * event), so a container that went quiet keeps accruing demurrage;
+ * free_time_ends_at tells when an open port stay starts accruing it.
+ *
+ * Port stays are assessed against free time from the demurrage_risk rule
+ * settings: { free_time_days, free_time_days_by_port: { <port code>: days } }.
+ */
+
+const ARRIVAL_EVENTS = ['port_arrival', 'transshipment_arrival'];
+const DEPARTURE_EVENTS = ['port_departure', 'transshipment_loading'];
+// Events away from the port, e.g. an LCL container trucked to a CFS without a port_departure
+const MOVED_ON_EVENTS = ['in_transit', 'road_checkpoint', 'lcl_deconsolidation', 'lcl_delivery'];
+
+const round = (n, digits = 1) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+// Where a port event happened, so 'Singapore' and SGSIN compare equal
+function placeOf(event) {
+  const place = resolveEventLocation(event);
+  return place ? place.code : event.metadata?.port_code || event.location;
+}
+
+function openPeriod(kind, event) {
+  const place = resolveEventLocation(event);
+  return {
+    kind,
+    location: event.location,
+    location_code: place ? place.code : event.metadata?.port_code || null,
+    started_at: event.timestamp,
+    ended_at: null,
+    place: placeOf(event)
+  };
+}
+
+function closePeriod(period, endedAt, measuredTo) {
+  const { place, ...rest } = period;
+  return { ...rest, ended_at: endedAt, hours: round(hoursBetween(period.started_at, endedAt || measuredTo)) };
+}
+
+// Dwell periods of a container's sorted events, in start order
+function calculateDwell(sortedEvents, asOf = new Date()) {
+  if (sortedEvents.length === 0) return [];
+  const lastEventAt = new Date(sortedEvents[sortedEvents.length - 1].timestamp);
+  const measuredTo = toUtc(Math.max(new Date(asOf).getTime(), lastEventAt.getTime()));
+  const periods = [];
+  let atPort = null;
+  let hold = null;
+
+  sortedEvents.forEach(event => {
+    if (ARRIVAL_EVENTS.includes(event.event_type)) {
+      // A second arrival without a departure: when the first stay ended is unknown
+      atPort = openPeriod('port', event);
+    } else if (DEPARTURE_EVENTS.includes(event.event_type) && atPort) {
+      if (placeOf(event) === atPort.place) periods.push(closePeriod(atPort, event.timestamp, measuredTo));
+      atPort = null;
+    } else if (MOVED_ON_EVENTS.includes(event.event_type) && atPort) {
+      periods.push(closePeriod(atPort, event.timestamp, measuredTo));
+      atPort = null;
+    } else if (event.event_type === 'customs_hold' && !hold) {
+      hold = openPeriod('customs', event);
+    } else if (event.event_type === 'customs_clearance' && hold) {
+      periods.push(closePeriod(hold, event.timestamp, measuredTo));
+      hold = null;
+    }
+  });
+
+  if (atPort) periods.push(closePeriod(atPort, null, measuredTo));
+  if (hold) periods.push(closePeriod(hold, null, measuredTo));
+  return periods.sort((a, b) => new Date(a.started_at) - new Date(b.started_at));
+}
+
+function freeTimeDays(period, settings) {
+  const byPort = settings.free_time_days_by_port || {};
+  const days = period.location_code ? byPort[period.location_code] : undefined;
+  return days !== undefined ? days : settings.free_time_days;
+}
+
+// Adds free time and accrued demurrage days (charged per started day) to port stays
+function assessDemurrage(periods, settings) {
+  return periods.map(period => {
+    if (period.kind !== 'port') return period;
+    const freeDays = freeTimeDays(period, settings);
+    const overHours = period.hours - freeDays * 24;
+    return {
+      ...period,
+      free_time_days: freeDays,
+      free_time_ends_at: toUtc(new Date(period.started_at).getTime() + freeDays * 86400000),
+      accrued_days: overHours > 0 ? Math.ceil(overHours / 24) : 0
+    };
+  });
+}
+
+module.exports = { calculateDwell, assessDemurrage };
@@ -0,0 +1,210 @@
+// services/etaModel.js
+const { applyCorrections } = require('./corrections');
+
+/**
+ * Learns per-port dwell times (arrival -> departure at the same port) and
+ * per-lane transit times (departure at A -> arrival at B) from processed
+ * events, and predicts arrival at the destination of a planned route.
+ *
+ * Every ingest recomputes a container's full history, so learning replaces
+ * the samples previously learned from that container instead of adding to
+ * them; corrected or cancelled events never leave stale samples behind.
+ */
+
+const ARRIVAL_EVENTS = ['port_arrival', 'transshipment_arrival'];
+const DEPARTURE_EVENTS = ['port_departure', 'transshipment_loading'];
+
+const HOUR_MS = 3600000;
+
+// z-score of the two-sided 80% interval reported as the confidence range
+const CONFIDENCE_LEVEL = 0.8;
+const CONFIDENCE_Z = 1.2816;
+// Every learned dwell and lane needs this many samples before a range is reported
+const MIN_CONFIDENCE_SAMPLES = 3;
+
+function createEtaModel() {
+  return { dwell: {}, transit: {}, samplesByContainer: {} };
+}
+
+function portOf(event) {
+  return event.metadata?.port_code || null;
+}
+
+// sortedEvents must be one container's history in chronological order
+function learnFromHistory(model, containerId, sortedEvents) {
+  (model.samplesByContainer[containerId] || []).forEach(([kind, key, sampleKey]) => {
+    delete model[kind][key][sampleKey];
+  });
+  const learned = [];
+  model.samplesByContainer[containerId] = learned;
+
+  const addSample = (kind, key, sampleKey, hours) => {
+    if (!model[kind][key]) model[kind][key] = {};
+    model[kind][key][sampleKey] = hours;
+    learned.push([kind, key, sampleKey]);
+  };
+  let lastArrival = null;
+  let lastDeparture = null;
+
+  sortedEvents.forEach(e => {
+    const port = portOf(e);
+    if (!port) return;
+
+    if (ARRIVAL_EVENTS.includes(e.event_type)) {
+      if (lastDeparture && portOf(lastDeparture) !== port) {
+        const hours = (new Date(e.timestamp) - new Date(lastDeparture.timestamp)) / HOUR_MS;
+        if (hours >= 0) addSample('transit', `${portOf(lastDeparture)}>${port}`, `${containerId}|${lastDeparture.timestamp}`, hours);
+      }
+      lastArrival = e;
+      lastDeparture = null;
+    } else if (DEPARTURE_EVENTS.includes(e.event_type)) {
+      if (lastArrival && portOf(lastArrival) === port) {
+        const hours = (new Date(e.timestamp) - new Date(lastArrival.timestamp)) / HOUR_MS;
+        if (hours >= 0) addSample('dwell', port, `${containerId}|${lastArrival.timestamp}`, hours);
+      }
+      lastArrival = null;
+      lastDeparture = e;
+    }
+  });
+}
+
+function stats(bucket, key) {
+  const samples = Object.values(bucket[key] || {});
+  if (samples.length === 0) return null;
+  const mean = samples.reduce((sum, h) => sum + h, 0) / samples.length;
+  const variance = samples.length > 1
+    ? samples.reduce((sum, h) => sum + (h - mean) ** 2, 0) / (samples.length - 1)
+    : 0;
+  return { mean, variance, samples: samples.length };
+}
+
+function plannedHours(from, to) {
+  if (!from || !to) return null;
+  const hours = (new Date(to) - new Date(from)) / HOUR_MS;
+  return isNaN(hours) || hours < 0 ? null : hours;
+}
+
+function buildPrediction(fromTimestamp, hours, variance, confident, portCode, plannedArrival, basedOn) {
+  const predicted = new Date(fromTimestamp).getTime() + hours * HOUR_MS;
+  const spread = CONFIDENCE_Z * Math.sqrt(variance) * HOUR_MS;
+  return {
+    time: new Date(predicted).toISOString(),
+    port_code: portCode,
+    confidence: confident
+      ? {
+          level: CONFIDENCE_LEVEL,
+          earliest: new Date(predicted - spread).toISOString(),
+          latest: new Date(predicted + spread).toISOString()
+        }
+      : null,
+    planned_arrival: plannedArrival,
+    based_on: basedOn
+  };
+}
+
+// Without a route: arrival at the end of the most sampled learned lane out of the port last departed
+function predictFromLastPort(model, sortedEvents) {
+  const portEvents = sortedEvents.filter(e => portOf(e) &&
+    (ARRIVAL_EVENTS.includes(e.event_type) || DEPARTURE_EVENTS.includes(e.event_type)));
+  const last = portEvents[portEvents.length - 1];
+  if (!last || !DEPARTURE_EVENTS.includes(last.event_type)) return null;
+
+  const prefix = `${portOf(last)}>`;
+  const lane = Object.keys(model.transit)
+    .filter(key => key.startsWith(prefix))
+    .map(key => ({ key, learned: stats(model.transit, key) }))
+    .filter(candidate => candidate.learned)
+    .sort((a, b) => b.learned.samples - a.learned.samples)[0];
+  if (!lane) return null;
+
+  const { mean, variance, samples } = lane.learned;
+  return buildPrediction(last.timestamp, mean, variance, samples >= MIN_CONFIDENCE_SAMPLES,
+    lane.key.slice(prefix.length), null, { historical_samples: samples, planned_segments: 0 });
+}
+
+/**
+ * Predicts arrival at route.destination from the container's position in its
+ * journey. Each remaining dwell and transit uses learned history when there
+ * is any and the planned times on the route otherwise. Without a route, a
+ * container that departed a port is predicted to arrive at the end of the
+ * most sampled learned lane from that port.
+ * confidence is null unless every remaining dwell and lane is learned from
+ * at least MIN_CONFIDENCE_SAMPLES samples.
+ * Returns null when the container has arrived or too little is known.
+ */
+function predictArrival(model, sortedEvents, route) {
+  if (sortedEvents.length === 0) return null;
+  if (!route) return predictFromLastPort(model, sortedEvents);
+
+  const stops = [route.origin, ...(route.transshipment_ports || []), route.destination];
+  const atStop = (e, stop) => (stop.port_code && portOf(e) === stop.port_code) || (stop.location && e.location === stop.location);
+
+  // Position: the latest arrival at or departure from a route stop
+  let position = null;
+  sortedEvents.forEach(e => {
+    const isArrival = ARRIVAL_EVENTS.includes(e.event_type);
+    if (!isArrival && !DEPARTURE_EVENTS.includes(e.event_type)) return;
+    const stopIndex = stops.findIndex(stop => atStop(e, stop));
+    if (stopIndex === -1 || (position && stopIndex < position.stopIndex)) return;
+    position = { stopIndex, departed: !isArrival, event: e };
+  });
+
+  if (!position) {
+    position = { stopIndex: 0, departed: false, event: sortedEvents[sortedEvents.length - 1] };
+  }
+  if (position.stopIndex === stops.length - 1) return null;
+
+  let hours = 0;
+  let variance = 0;
+  let samples = 0;
+  let planned = 0;
+  let confident = true;
+  const addComponent = (learned, fallbackHours) => {
+    if (learned) {
+      if (learned.samples < MIN_CONFIDENCE_SAMPLES) confident = false;
+      hours += learned.mean;
+      variance += learned.variance;
+      samples += learned.samples;
+      return true;
+    }
+    if (fallbackHours === null) return false;
+    hours += fallbackHours;
+    planned++;
+    confident = false;
+    return true;
+  };
+
+  for (let i = position.stopIndex; i < stops.length - 1; i++) {
+    const stop = stops[i];
+    const next = stops[i + 1];
+    if (i > position.stopIndex || !position.departed) {
+      const dwellFallback = i === 0 && !stop.expected_arrival ? 0 : plannedHours(stop.expected_arrival, stop.expected_departure);
+      if (!addComponent(stats(model.dwell, stop.port_code), dwellFallback)) return null;
+    }
+    const lane = `${stop.port_code}>${next.port_code}`;
+    if (!addComponent(stats(model.transit, lane), plannedHours(stop.expected_departure, next.expected_arrival))) return null;
+  }
+
+  return buildPrediction(position.event.timestamp, hours, variance, confident,
+    route.destination.port_code || null, route.destination.expected_arrival || null,
+    { historical_samples: samples, planned_segments: planned });
+}
+
+const defaultModels = new WeakMap();
+
+// One model per store (so per tenant), built once from everything in it, then kept current by each ingest
+function getDefaultEtaModel(store) {
+  if (!defaultModels.has(store)) {
+    const model = createEtaModel();
+    store.listContainerIds().forEach(id => {
+      const sorted = applyCorrections(store.getEvents(id)).entries
+        .map(entry => entry.event)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      learnFromHistory(model, id, sorted);
+    });
+    defaultModels.set(store, model);
+  }
+  return defaultModels.get(store);
+}
+
+module.exports = { createEtaModel, learnFromHistory, predictArrival, getDefaultEtaModel };
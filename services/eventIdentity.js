@@ -0,0 +1,69 @@
+// services/eventIdentity.js
+const crypto = require('crypto');
+const { SHIPMENT_EVENT_FIELDS } = require('./shipments');
+
+/**
+ * Event identity for idempotent ingestion. An event is identified by its
+ * event_id when it carries one, and otherwise by a hash of its container,
+ * type, timestamp and location. Two events with the same identity are exact
+ * duplicates (a retry) when their whole content matches, and conflicting
+ * duplicates otherwise. Corrections and cancellations hash their action and
+ * reference too, so they never collide with the event they amend.
+ */
+
+function contentHash(event) {
+  const instant = new Date(event.timestamp).toISOString();
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([event.container_id, event.event_type, instant, event.location, event.action, event.references]))
+    .digest('hex');
+}
+
+// How clients refer to an event: its event_id, or 'hash:<content hash>' without one
+function eventRef(event) {
+  return event.event_id !== undefined ? event.event_id : `hash:${contentHash(event)}`;
+}
+
+function eventKey(event) {
+  return event.event_id !== undefined ? `id:${event.event_id}` : eventRef(event);
+}
+
+// Keys an event ref may stand for, most specific first
+function refKeys(ref) {
+  return [`id:${ref}`, ref];
+}
+
+// JSON with sorted object keys, so key order alone never makes two events differ
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// As sent rather than as normalized: the same event re-sent with another
+// UTC offset or another name for its location is still the same event
+const REPORTED_FIELDS = ['timestamp_offset', 'reported_location'];
+
+// Ignored when comparing: reported fields, and the shipment fields copied onto events
+// of a shipment, so an event re-sent on its own (or in another shipment) is a retry
+const IGNORED_FIELDS = [...REPORTED_FIELDS, ...SHIPMENT_EVENT_FIELDS];
+
+function isSameEvent(a, b) {
+  const normalized = (event) => Object.fromEntries(Object.entries(event).filter(([key]) => !IGNORED_FIELDS.includes(key)));
+  return canonicalJson(normalized(a)) === canonicalJson(normalized(b));
+}
+
+function indexByIdentity(events) {
+  return new Map(events.map(e => [eventKey(e), e]));
+}
+
+function describeConflict(event, existing) {
+  if (event.event_id !== undefined) {
+    return `Conflicts with an earlier event with event_id '${event.event_id}'`;
+  }
+  return `Conflicts with an earlier ${existing.event_type} at ${existing.location} at ${existing.timestamp} with different details`;
+}
+
+module.exports = { eventRef, eventKey, refKeys, isSameEvent, indexByIdentity, describeConflict };
@@ -0,0 +1,79 @@
+// services/eventSchema.js
+const { VALID_EVENT_TYPES, REQUIRED_METADATA } = require('./containerProcessor');
+const { ISO_8601_PATTERN } = require('./timeUtils');
+
+const SCHEMA_BASE_ID = 'urn:wetrack:schema:events';
+
+// Mirrors isValidTimestamp: a date-time with Z or a UTC offset. There is no format: 'date-time',
+// since RFC 3339 rejects values the server accepts (no seconds, offsets such as +0800)
+const TIMESTAMP_PATTERN = ISO_8601_PATTERN.source;
+
+function buildEventTypeSchema(eventType) {
+  const requiredMetadata = REQUIRED_METADATA[eventType] || [];
+
+  const schema = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: `${SCHEMA_BASE_ID}:${eventType}`,
+    title: `${eventType} event`,
+    type: 'object',
+    required: ['container_id', 'event_type', 'timestamp', 'location'],
+    properties: {
+      container_id: { type: 'string', minLength: 1, pattern: '\\S' },
+      event_id: { type: 'string', minLength: 1, pattern: '\\S' },
+      action: { const: 'correction' },
+      references: { type: 'string', minLength: 1 },
+      event_type: { const: eventType },
+      timestamp: { type: 'string', pattern: TIMESTAMP_PATTERN },
+      location: { type: 'string', minLength: 1, pattern: '\\S' },
+      metadata: { type: 'object' }
+    }
+  };
+
+  // A correction must say which event it corrects
+  schema.dependentRequired = { action: ['references'] };
+
+  if (requiredMetadata.length > 0) {
+    schema.required.push('metadata');
+    schema.properties.metadata = {
+      type: 'object',
+      required: [...requiredMetadata],
+      properties: Object.fromEntries(requiredMetadata.map(field => [field, {}]))
+    };
+  }
+
+  return schema;
+}
+
+// Cancellations carry no event data of their own
+function buildCancellationSchema() {
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: `${SCHEMA_BASE_ID}:cancellation`,
+    title: 'Cancellation of an earlier event',
+    type: 'object',
+    required: ['container_id', 'action', 'references', 'timestamp'],
+    properties: {
+      container_id: { type: 'string', minLength: 1, pattern: '\\S' },
+      event_id: { type: 'string', minLength: 1, pattern: '\\S' },
+      action: { const: 'cancellation' },
+      references: { type: 'string', minLength: 1 },
+      timestamp: { type: 'string', pattern: TIMESTAMP_PATTERN }
+    }
+  };
+}
+
+// One schema per event type plus cancellations, combined with oneOf so any event can be checked against it
+function buildEventSchema() {
+  const defs = Object.fromEntries(VALID_EVENT_TYPES.map(type => [type, buildEventTypeSchema(type)]));
+  defs.cancellation = buildCancellationSchema();
+
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: SCHEMA_BASE_ID,
+    title: 'Container tracking event',
+    oneOf: Object.keys(defs).map(name => ({ $ref: `${SCHEMA_BASE_ID}:${name}` })),
+    $defs: defs
+  };
+}
+
+module.exports = { buildEventSchema, buildEventTypeSchema };
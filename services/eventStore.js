@@ -0,0 +1,379 @@
+// services/eventStore.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Event stores keep every validated event per container_id so results can be
+ * recomputed over the full history when new events arrive.
+ *
+ * Every store exposes the same synchronous interface:
+ *   append(containerId, events)  -> all events now stored for the container
+ *   getEvents(containerId)       -> stored events (empty array if unknown)
+ *   listContainerIds()           -> ids of all containers with events
+ *   saveResult(containerId, r, details) -> store the latest computed result as a
+ *                                   new version, with details such as { cause, changes };
+ *                                   details null stores it without recording a version
+ *   getResult(containerId)       -> latest computed result or null
+ *   getResultHistory(containerId) -> versions { version, recorded_at, ...details, result },
+ *                                   oldest first (the latest RESULT_HISTORY_LIMIT are kept)
+ *   listResults()                -> latest computed result of every container
+ *   saveRoute(containerId, route) -> store the planned route of a container
+ *   getRoute(containerId)        -> planned route or null
+ *   saveShipment(shipmentId, s)  -> store a shipment record (see shipments.js)
+ *   getShipment(shipmentId)      -> shipment record or null
+ *   listShipments()              -> every shipment record
+ *   batch(fn)                    -> run fn and return its value; a file store
+ *                                   writes its changes once, when fn returns
+ *   clear()                      -> remove everything
+ */
+
+const RESULT_HISTORY_LIMIT = 50;
+
+function appendVersion(versions, result, details) {
+  const version = versions.length > 0 ? versions[versions.length - 1].version + 1 : 1;
+  const updated = versions.concat({ version, recorded_at: new Date().toISOString(), ...details, result });
+  return updated.slice(-RESULT_HISTORY_LIMIT);
+}
+
+function createMemoryStore() {
+  let containers = new Map();
+  let results = new Map();
+  let history = new Map();
+  let routes = new Map();
+  let shipments = new Map();
+
+  return {
+    append(containerId, events) {
+      const existing = containers.get(containerId) || [];
+      const updated = existing.concat(events);
+      containers.set(containerId, updated);
+      return [...updated];
+    },
+    getEvents(containerId) {
+      return [...(containers.get(containerId) || [])];
+    },
+    listContainerIds() {
+      return [...containers.keys()];
+    },
+    saveResult(containerId, result, details = {}) {
+      results.set(containerId, result);
+      if (details !== null) history.set(containerId, appendVersion(history.get(containerId) || [], result, details));
+    },
+    getResult(containerId) {
+      return results.get(containerId) || null;
+    },
+    getResultHistory(containerId) {
+      return [...(history.get(containerId) || [])];
+    },
+    listResults() {
+      return [...results.values()];
+    },
+    saveRoute(containerId, route) {
+      routes.set(containerId, route);
+    },
+    getRoute(containerId) {
+      return routes.get(containerId) || null;
+    },
+    saveShipment(shipmentId, shipment) {
+      shipments.set(shipmentId, shipment);
+    },
+    getShipment(shipmentId) {
+      return shipments.get(shipmentId) || null;
+    },
+    listShipments() {
+      return [...shipments.values()];
+    },
+    batch(fn) {
+      return fn();
+    },
+    clear() {
+      containers = new Map();
+      results = new Map();
+      history = new Map();
+      routes = new Map();
+      shipments = new Map();
+    }
+  };
+}
+
+const emptyData = () => ({ containers: {}, results: {}, history: {}, routes: {}, shipments: {} });
+
+// Applies one log record (see createFileStore) to the store data
+function applyRecord(data, record) {
+  const { op, id } = record;
+  if (op === 'append') {
+    data.containers[id] = (data.containers[id] || []).concat(record.events);
+  } else if (op === 'result') {
+    data.results[id] = record.version ? record.version.result : record.result;
+    if (record.version) data.history[id] = (data.history[id] || []).concat(record.version).slice(-RESULT_HISTORY_LIMIT);
+  } else if (op === 'route') {
+    data.routes[id] = record.route;
+  } else if (op === 'shipment') {
+    data.shipments[id] = record.shipment;
+  } else {
+    throw new Error(`Unknown event store record '${op}'`);
+  }
+}
+
+// The fewest records that rebuild data: events, kept versions and the latest result per container, routes, shipments
+function snapshotRecords(data) {
+  const records = [];
+  Object.entries(data.containers).forEach(([id, events]) => records.push({ op: 'append', id, events }));
+  Object.entries(data.results).forEach(([id, result]) => {
+    const versions = data.history[id] || [];
+    versions.forEach(version => records.push({ op: 'result', id, version }));
+    if (versions.length === 0 || versions[versions.length - 1].result !== result) records.push({ op: 'result', id, result });
+  });
+  Object.entries(data.routes).forEach(([id, route]) => records.push({ op: 'route', id, route }));
+  Object.entries(data.shipments).forEach(([id, shipment]) => records.push({ op: 'shipment', id, shipment }));
+  return records;
+}
+
+// Replays a log; a torn last line (a crash mid-write) is dropped. Files in the
+// earlier format, one JSON document, are read as a snapshot.
+function readLog(text) {
+  const data = emptyData();
+  try {
+    const parsed = JSON.parse(text);
+    if (parsed && typeof parsed.containers === 'object' && !parsed.op) {
+      return { data: { ...data, ...parsed }, records: Infinity };
+    }
+  } catch (err) {
+    // Not a single document: a log
+  }
+
+  const lines = text.split('\n').filter(line => line.trim() !== '');
+  lines.forEach((line, i) => {
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      if (i === lines.length - 1) return;
+      throw new Error(`Invalid event store record on line ${i + 1}: ${err.message}`);
+    }
+    applyRecord(data, record);
+  });
+  return { data, records: lines.length };
+}
+
+/**
+ * A store kept in an append-only log: every change is appended to the file as
+ * one JSON record per line, so a write costs the size of the change, not of
+ * the store. The log is replayed on open and compacted then when it holds
+ * more than twice the records the data needs.
+ */
+function createFileStore(filePath) {
+  if (!filePath) throw new Error('createFileStore requires a file path');
+  const resolvedPath = path.resolve(filePath);
+
+  let data = emptyData();
+  if (fs.existsSync(resolvedPath)) {
+    const log = readLog(fs.readFileSync(resolvedPath, 'utf8'));
+    data = log.data;
+    const snapshot = snapshotRecords(data);
+    if (log.records > 2 * snapshot.length) {
+      // Write to a temp file first so a crash never leaves a half-written log
+      const tmpPath = `${resolvedPath}.tmp`;
+      fs.writeFileSync(tmpPath, snapshot.map(record => `${JSON.stringify(record)}\n`).join(''));
+      fs.renameSync(tmpPath, resolvedPath);
+    }
+  }
+
+  // Inside batch() records are collected and appended at its end
+  let batchDepth = 0;
+  let pending = [];
+  const flush = () => {
+    if (pending.length === 0) return;
+    fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+    fs.appendFileSync(resolvedPath, pending.join(''));
+    pending = [];
+  };
+  const record = (entry) => {
+    applyRecord(data, entry);
+    pending.push(`${JSON.stringify(entry)}\n`);
+    if (batchDepth === 0) flush();
+  };
+
+  return {
+    append(containerId, events) {
+      record({ op: 'append', id: containerId, events });
+      return [...data.containers[containerId]];
+    },
+    getEvents(containerId) {
+      return [...(data.containers[containerId] || [])];
+    },
+    listContainerIds() {
+      return Object.keys(data.containers);
+    },
+    saveResult(containerId, result, details = {}) {
+      if (details === null) {
+        record({ op: 'result', id: containerId, result });
+        return;
+      }
+      const [version] = appendVersion(data.history[containerId] || [], result, details).slice(-1);
+      record({ op: 'result', id: containerId, version });
+    },
+    getResult(containerId) {
+      return data.results[containerId] || null;
+    },
+    getResultHistory(containerId) {
+      return [...(data.history[containerId] || [])];
+    },
+    listResults() {
+      return Object.values(data.results);
+    },
+    saveRoute(containerId, route) {
+      record({ op: 'route', id: containerId, route });
+    },
+    getRoute(containerId) {
+      return data.routes[containerId] || null;
+    },
+    saveShipment(shipmentId, shipment) {
+      record({ op: 'shipment', id: shipmentId, shipment });
+    },
+    getShipment(shipmentId) {
+      return data.shipments[shipmentId] || null;
+    },
+    listShipments() {
+      return Object.values(data.shipments);
+    },
+    batch(fn) {
+      batchDepth++;
+      try {
+        return fn();
+      } finally {
+        batchDepth--;
+        if (batchDepth === 0) flush();
+      }
+    },
+    clear() {
+      data = emptyData();
+      pending = [];
+      fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+      fs.writeFileSync(resolvedPath, '');
+    }
+  };
+}
+
+/**
+ * A store for one-off ingestion of files larger than memory: events, results,
+ * routes and shipments are kept in files under dir (one per container or
+ * shipment) and nothing is held in memory. It records no result versions.
+ * The caller removes dir when done.
+ */
+function createSpillStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileFor = (kind, key, ext = '.json') =>
+    path.join(dir, `${kind}-${crypto.createHash('sha1').update(String(key)).digest('hex')}${ext}`);
+  const indexFile = (kind) => path.join(dir, `${kind}.index`);
+
+  const readText = (file) => {
+    try {
+      return fs.readFileSync(file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  };
+  const readLines = (file) => (readText(file) || '').split('\n').filter(line => line !== '').map(line => JSON.parse(line));
+  const readJson = (file) => {
+    const text = readText(file);
+    return text === null ? null : JSON.parse(text);
+  };
+  // Keys are listed in an index file the first time something is stored for them
+  const writeJson = (kind, key, value) => {
+    const file = fileFor(kind, key);
+    if (!fs.existsSync(file)) fs.appendFileSync(indexFile(kind), `${JSON.stringify(key)}\n`);
+    fs.writeFileSync(file, JSON.stringify(value));
+  };
+
+  return {
+    append(containerId, events) {
+      const file = fileFor('events', containerId, '.ndjson');
+      const existing = readLines(file);
+      if (existing.length === 0) fs.appendFileSync(indexFile('containers'), `${JSON.stringify(containerId)}\n`);
+      fs.appendFileSync(file, events.map(event => `${JSON.stringify(event)}\n`).join(''));
+      return existing.concat(events);
+    },
+    getEvents(containerId) {
+      return readLines(fileFor('events', containerId, '.ndjson'));
+    },
+    listContainerIds() {
+      return readLines(indexFile('containers'));
+    },
+    saveResult(containerId, result) {
+      writeJson('results', containerId, result);
+    },
+    getResult(containerId) {
+      return readJson(fileFor('results', containerId));
+    },
+    getResultHistory() {
+      return [];
+    },
+    listResults() {
+      return readLines(indexFile('results')).map(id => readJson(fileFor('results', id)));
+    },
+    saveRoute(containerId, route) {
+      writeJson('routes', containerId, route);
+    },
+    getRoute(containerId) {
+      return readJson(fileFor('routes', containerId));
+    },
+    saveShipment(shipmentId, shipment) {
+      writeJson('shipments', shipmentId, shipment);
+    },
+    getShipment(shipmentId) {
+      return readJson(fileFor('shipments', shipmentId));
+    },
+    listShipments() {
+      return readLines(indexFile('shipments')).map(id => readJson(fileFor('shipments', id)));
+    },
+    batch(fn) {
+      return fn();
+    },
+    clear() {
+      fs.rmSync(dir, { recursive: true, force: true });
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  };
+}
+
+// Each tenant has its own store; requests without authentication use the default tenant
+const DEFAULT_TENANT = 'default';
+const TENANT_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+const tenantStores = new Map();
+
+// The default tenant keeps EVENT_STORE_PATH; others get <name>.<tenant><ext> next to it
+function tenantStorePath(tenant) {
+  const basePath = process.env.EVENT_STORE_PATH || path.join(process.cwd(), 'data', 'event-store.json');
+  if (tenant === DEFAULT_TENANT) return basePath;
+  const { dir, name, ext } = path.parse(basePath);
+  return path.join(dir, `${name}.${tenant}${ext}`);
+}
+
+// EVENT_STORE=file selects file stores (see tenantStorePath); memory otherwise
+function getTenantStore(tenant) {
+  if (!TENANT_PATTERN.test(tenant)) throw new Error(`Invalid tenant '${tenant}'`);
+  if (!tenantStores.has(tenant)) {
+    tenantStores.set(tenant, process.env.EVENT_STORE === 'file'
+      ? createFileStore(tenantStorePath(tenant))
+      : createMemoryStore());
+  }
+  return tenantStores.get(tenant);
+}
+
+function getDefaultStore() {
+  return getTenantStore(DEFAULT_TENANT);
+}
+
+module.exports = {
+  DEFAULT_TENANT,
+  TENANT_PATTERN,
+  createMemoryStore,
+  createFileStore,
+  createSpillStore,
+  getTenantStore,
+  getDefaultStore
+};
@@ -0,0 +1,351 @@
+// services/fileIngest.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { processContainerEvents, validateEvent } = require('./containerProcessor');
+const { createMemoryStore, createSpillStore } = require('./eventStore');
+const { readShipments, recordShipments, buildShipmentResult } = require('./shipments');
+const { adapterForFile } = require('./adapters');
+const { getContainerIdMode } = require('./containerId');
+
+/**
+ * Streaming ingestion of large files. Records are read one at a time from
+ * newline-delimited JSON (.ndjson / .jsonl) or from a top-level JSON array,
+ * so the raw file never has to fit in memory. A record is either a shipment
+ * ({ container_id, events: [...] }) or a single event.
+ *
+ * Events are processed in chunks through an event store, so each container
+ * is still recomputed over its full history. The store writes once per chunk
+ * (see batch in eventStore.js), and with options.onResults the results are
+ * handed over chunk by chunk instead of being collected.
+ *
+ * Carrier formats (CSV, EDIFACT IFTSTA, X12 315) are read whole and converted
+ * by their input adapter, chosen by options.adapter or the file extension.
+ */
+
+const DEFAULT_CHUNK_SIZE = 1000;
+const MAX_REPORTED_REJECTIONS = 100;
+
+// Directory the API may read files from: DATA_DIR, else data/files
+function getDataDir() {
+  return path.resolve(process.env.DATA_DIR || path.join(process.cwd(), 'data', 'files'));
+}
+
+// A path resolved against the data directory, or null when it (or a symlink on the way) leads outside
+function resolveDataPath(filePath, dataDir = getDataDir()) {
+  const realPath = (p) => {
+    try {
+      return fs.realpathSync(p);
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return p;
+      throw err;
+    }
+  };
+  const dir = realPath(dataDir);
+  const resolved = realPath(path.resolve(dir, filePath));
+  return resolved.startsWith(`${dir}${path.sep}`) ? resolved : null;
+}
+
+function detectFormat(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.ndjson' || ext === '.jsonl') return 'ndjson';
+
+  // Peek at the first non-whitespace character
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(512);
+    const bytes = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    const first = buffer.toString('utf8', 0, bytes).trimStart()[0];
+    return first === '[' ? 'json-array' : 'ndjson';
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function parseRecord(text, position) {
+  try {
+    return { value: JSON.parse(text), position };
+  } catch (err) {
+    return { error: `Invalid JSON at ${position}: ${err.message}`, position };
+  }
+}
+
+async function* readNdjson(stream) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (line.trim() === '') continue;
+    yield parseRecord(line, `line ${lineNumber}`);
+  }
+}
+
+// Splits a top-level JSON array into element texts without parsing the whole document
+async function* readJsonArray(stream) {
+  let started = false;
+  let finished = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let pending = '';
+  let elementIndex = 0;
+
+  for await (const chunk of stream) {
+    let segStart = 0;
+    for (let i = 0; i < chunk.length; i++) {
+      const ch = chunk[i];
+
+      if (!started) {
+        if (/\s/.test(ch)) continue;
+        if (ch !== '[') throw new SyntaxError('Expected a JSON array or newline-delimited JSON');
+        started = true;
+        segStart = i + 1;
+        continue;
+      }
+      if (finished) {
+        if (!/\s/.test(ch)) throw new SyntaxError('Unexpected data after the end of the JSON array');
+        continue;
+      }
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === '\\') escaped = true;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+
+      if (ch === '"') {
+        inString = true;
+      } else if (ch === '{' || ch === '[') {
+        depth++;
+      } else if ((ch === '}' || ch === ']') && depth > 0) {
+        depth--;
+      } else if (depth === 0 && (ch === ',' || ch === ']')) {
+        const text = (pending + chunk.slice(segStart, i)).trim();
+        pending = '';
+        segStart = i + 1;
+        if (text !== '') yield parseRecord(text, `element ${elementIndex++}`);
+        if (ch === ']') finished = true;
+      }
+    }
+    if (!finished) pending += chunk.slice(segStart);
+  }
+
+  if (!started || !finished) throw new SyntaxError('Unexpected end of JSON array');
+}
+
+async function* readRecords(filePath, format = detectFormat(filePath)) {
+  const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+  const records = format === 'ndjson' ? readNdjson(stream) : readJsonArray(stream);
+  for await (const record of records) {
+    yield { ...record, bytesRead: stream.bytesRead };
+  }
+}
+
+// Turns one record into events (and planned routes and a shipment record, for shipments)
+function recordToEvents(record) {
+  const { value } = record;
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { error: `Record at ${record.position} must be a shipment or an event object` };
+  }
+  if (Array.isArray(value.events) || Array.isArray(value.containers)) {
+    const { events, routes, shipments, errors, route_errors } = readShipments([value]);
+    const problem = errors[0] || route_errors[0];
+    if (problem) return { error: `Shipment at ${record.position}: ${problem.message}` };
+    return { events, routes, shipments };
+  }
+  return { events: [value], routes: {}, shipments: [] };
+}
+
+// Adapter errors become rejected records; in strict mode any of them fails the file
+function ingestWithAdapter(filePath, adapter, options) {
+  const { mode = 'strict', onProgress, onResults, store = createMemoryStore(), routes, etaModel, rules, onResult, containerIds, asOf } = options;
+  const processingOptions = { routes, etaModel, rules, onResult, containerIds, asOf, recordHistory: options.recordHistory || false };
+  const totalBytes = fs.statSync(filePath).size;
+  const { events, errors } = adapter.parse(fs.readFileSync(filePath, 'utf8'));
+  const adapterErrors = errors.map(err => ({ index: null, field: null, ...err }));
+  const stats = { input_format: adapter.name, records: events.length + errors.length, events: events.length, events_rejected: 0, containers: 0, bytes_read: totalBytes, total_bytes: totalBytes };
+
+  if (mode !== 'partial' && adapterErrors.length > 0) {
+    return { error: 'Unmappable input', validation_errors: adapterErrors.slice(0, MAX_REPORTED_REJECTIONS), stats };
+  }
+
+  const outcome = processContainerEvents(events, { ...processingOptions, store, mode });
+  if (outcome.error) return { ...outcome, stats };
+  if (onProgress) onProgress({ records: stats.records, events: stats.events, bytes_read: totalBytes, total_bytes: totalBytes });
+
+  const rejected = [
+    ...(outcome.rejected || []),
+    ...adapterErrors.map(err => ({ index: null, record: err.position, errors: [err] }))
+  ];
+  stats.events_rejected = rejected.length;
+  const results = Array.isArray(outcome) ? outcome : outcome.results;
+  stats.containers = results.length;
+  if (onResults) onResults(results);
+  return { results: onResults ? null : results, rejected: rejected.slice(0, MAX_REPORTED_REJECTIONS), stats };
+}
+
+/**
+ * Validates every record and event of a file without processing anything.
+ * Stops reading once MAX_REPORTED_REJECTIONS errors are collected.
+ * options.containerIds 'strict' checks container ids against ISO 6346.
+ * Resolves to { validation_errors, stats: { records, events, truncated } }.
+ */
+async function validateFile(filePath, options = {}) {
+  const adapter = options.adapter === undefined ? adapterForFile(filePath) : options.adapter;
+  const containerIds = options.containerIds || getContainerIdMode();
+  const problems = [];
+  const stats = { records: 0, events: 0, truncated: false };
+
+  if (adapter) {
+    const { events, errors } = adapter.parse(fs.readFileSync(filePath, 'utf8'));
+    problems.push(...errors.map(err => ({ index: null, field: null, ...err })));
+    events.forEach((event, i) => problems.push(...validateEvent(event, i, { containerIds })));
+    stats.input_format = adapter.name;
+    stats.records = events.length + errors.length;
+    stats.events = events.length;
+  } else {
+    for await (const record of readRecords(filePath, options.format || detectFormat(filePath))) {
+      if (problems.length >= MAX_REPORTED_REJECTIONS) break;
+      stats.records++;
+      const { events, error } = record.error ? { error: record.error } : recordToEvents(record);
+      if (error) {
+        problems.push({ index: null, field: null, code: 'invalid_record', message: error });
+        continue;
+      }
+      events.forEach(event => problems.push(...validateEvent(event, stats.events++, { containerIds })));
+    }
+  }
+
+  stats.truncated = problems.length >= MAX_REPORTED_REJECTIONS;
+  return { validation_errors: problems.slice(0, MAX_REPORTED_REJECTIONS), stats };
+}
+
+/**
+ * Ingests a file in chunks of options.chunkSize events.
+ *
+ * options.mode 'strict' (default) first streams the whole file through
+ * validation and ingests nothing if any record or event is invalid;
+ * 'partial' ingests every valid event and reports the rest.
+ * options.onProgress({ records, events, bytes_read, total_bytes }) is called
+ * after every chunk. options.onResults(results) is called after every chunk
+ * with the results recomputed in it; a container whose events span chunks
+ * is passed again with its updated result, so the last one counts.
+ * options.adapter selects an input adapter explicitly (null forces the JSON
+ * readers).
+ * options.store defaults to a spill store (see eventStore.js) in a temporary
+ * directory that is removed afterwards, so memory stays flat however large
+ * the file. Results are stored without recording result versions unless
+ * options.recordHistory is true.
+ * Remaining options are passed to processContainerEvents.
+ *
+ * Shipments with a bl_number or booking_number are recorded in the store.
+ *
+ * Resolves to { results, shipments, rejected, stats } (shipments rolled up
+ * from their containers; results is null with options.onResults) or, in
+ * strict mode with invalid input, { error, validation_errors, stats }.
+ */
+async function ingestFile(filePath, options = {}) {
+  const adapter = options.adapter === undefined ? adapterForFile(filePath) : options.adapter;
+  if (adapter) {
+    return ingestWithAdapter(filePath, adapter, options);
+  }
+
+  const {
+    chunkSize = DEFAULT_CHUNK_SIZE,
+    mode = 'strict',
+    onProgress,
+    onResults,
+    store: givenStore,
+    format = detectFormat(filePath),
+    ...rest
+  } = options;
+  // File ingestion records no result versions unless asked to
+  const processingOptions = { recordHistory: false, ...rest };
+  const totalBytes = fs.statSync(filePath).size;
+
+  if (mode !== 'partial') {
+    const validation = await validateFile(filePath, { adapter: null, format, containerIds: processingOptions.containerIds });
+    if (validation.validation_errors.length > 0) {
+      return {
+        error: 'Validation failed',
+        validation_errors: validation.validation_errors,
+        stats: { truncated: validation.stats.truncated }
+      };
+    }
+  }
+
+  // Without a store, events and results spill to a temporary directory instead of memory
+  const spillDir = givenStore ? null : fs.mkdtempSync(path.join(os.tmpdir(), 'wetrack-ingest-'));
+  const store = givenStore || createSpillStore(spillDir);
+  try {
+    return await ingestChunks(filePath, store, { chunkSize, onProgress, onResults, format, processingOptions, totalBytes });
+  } finally {
+    if (spillDir) fs.rmSync(spillDir, { recursive: true, force: true });
+  }
+}
+
+// Reads, processes and stores the records of a file chunk by chunk
+async function ingestChunks(filePath, store, { chunkSize, onProgress, onResults, format, processingOptions, totalBytes }) {
+  const stats = { records: 0, events: 0, events_rejected: 0, containers: 0, chunks: 0, bytes_read: 0, total_bytes: totalBytes };
+  const rejected = [];
+  const touched = new Set();
+  const shipmentIds = new Set();
+  let chunk = [];
+  let chunkRoutes = {};
+  let chunkShipments = [];
+  let eventOffset = 0;
+
+  const flush = () => {
+    if (chunk.length === 0) return;
+    const outcome = store.batch(() => {
+      const processed = processContainerEvents(chunk, { ...processingOptions, store, mode: 'partial', routes: chunkRoutes });
+      recordShipments(store, chunkShipments);
+      return processed;
+    });
+    outcome.results.forEach(r => touched.add(r.container_id));
+    if (onResults) onResults(outcome.results);
+    chunkShipments.forEach(shipment => shipmentIds.add(shipment.shipment_id));
+    outcome.rejected.forEach(r => {
+      stats.events_rejected++;
+      if (rejected.length < MAX_REPORTED_REJECTIONS) {
+        const index = eventOffset + r.index;
+        rejected.push({ ...r, index, errors: r.errors.map(err => ({ ...err, index })) });
+      }
+    });
+    eventOffset += chunk.length;
+    stats.chunks++;
+    chunk = [];
+    chunkRoutes = {};
+    chunkShipments = [];
+    if (onProgress) onProgress({ records: stats.records, events: stats.events, bytes_read: stats.bytes_read, total_bytes: totalBytes });
+  };
+
+  for await (const record of readRecords(filePath, format)) {
+    stats.records++;
+    stats.bytes_read = record.bytesRead;
+    const { events, routes, shipments, error } = record.error ? { error: record.error } : recordToEvents(record);
+    if (error) {
+      stats.events_rejected++;
+      if (rejected.length < MAX_REPORTED_REJECTIONS) {
+        rejected.push({ index: null, record: record.position, errors: [{ index: null, field: null, code: 'invalid_record', message: error }] });
+      }
+      continue;
+    }
+    stats.events += events.length;
+    chunk.push(...events);
+    Object.assign(chunkRoutes, routes);
+    chunkShipments.push(...shipments);
+    if (chunk.length >= chunkSize) flush();
+  }
+  stats.bytes_read = totalBytes;
+  flush();
+
+  stats.containers = touched.size;
+  const results = onResults ? null : [...touched].map(id => store.getResult(id)).filter(Boolean);
+  const shipments = [...shipmentIds].map(id => buildShipmentResult(store.getShipment(id), store.getResult));
+  return { results, shipments, rejected, stats };
+}
+
+module.exports = { getDataDir, resolveDataPath, detectFormat, readNdjson, readJsonArray, readRecords, validateFile, ingestFile };
@@ -0,0 +1,166 @@
+// services/journey.js
+
+/**
+ * Journey progress. With a planned route, progress is measured against the
+ * route's milestones (origin departure, arrival/departure at each
+ * transshipment port, destination arrival); without one, against the
+ * default milestones of the container's lifecycle.
+ *
+ * A route looks like:
+ *   {
+ *     origin: { port_code, location, expected_departure },
+ *     transshipment_ports: [{ port_code, location, expected_arrival, expected_departure }],
+ *     destination: { port_code, location, expected_arrival }
+ *   }
+ */
+
+const ARRIVAL_EVENTS = ['port_arrival', 'transshipment_arrival'];
+const DEPARTURE_EVENTS = ['port_departure', 'transshipment_loading'];
+
+function validateRoute(route) {
+  const errors = [];
+  const issue = (field, code, message) => errors.push({ field, code, message });
+  const checkStop = (stop, field) => {
+    if (!stop || typeof stop !== 'object') {
+      issue(field, 'required', `${field} is required`);
+    } else if (!stop.port_code && !stop.location) {
+      issue(field, 'required', `${field} needs a port_code or location`);
+    }
+  };
+
+  if (!route || typeof route !== 'object' || Array.isArray(route)) {
+    issue('route', 'invalid_route', 'route must be an object');
+    return errors;
+  }
+
+  checkStop(route.origin, 'route.origin');
+  checkStop(route.destination, 'route.destination');
+  if (route.transshipment_ports !== undefined) {
+    if (!Array.isArray(route.transshipment_ports)) {
+      issue('route.transshipment_ports', 'invalid_route', 'route.transshipment_ports must be an array');
+    } else {
+      route.transshipment_ports.forEach((stop, i) => checkStop(stop, `route.transshipment_ports[${i}]`));
+    }
+  }
+
+  return errors;
+}
+
+function stopName(stop) {
+  return stop.port_code || stop.location;
+}
+
+function atStop(event, stop) {
+  if (stop.port_code && event.metadata?.port_code === stop.port_code) return true;
+  return Boolean(stop.location) && event.location === stop.location;
+}
+
+function buildRouteMilestones(route) {
+  const stops = [route.origin, ...(route.transshipment_ports || []), route.destination];
+  const milestones = [];
+
+  stops.forEach((stop, i) => {
+    if (i > 0) {
+      milestones.push({
+        name: `arrival_${stopName(stop)}`,
+        port_code: stop.port_code || null,
+        location: stop.location || null,
+        event_types: ARRIVAL_EVENTS,
+        expected_time: stop.expected_arrival || null,
+        leg: i - 1,
+        matches: e => ARRIVAL_EVENTS.includes(e.event_type) && atStop(e, stop)
+      });
+    }
+    if (i < stops.length - 1) {
+      milestones.push({
+        name: `departure_${stopName(stop)}`,
+        port_code: stop.port_code || null,
+        location: stop.location || null,
+        event_types: DEPARTURE_EVENTS,
+        expected_time: stop.expected_departure || null,
+        leg: i,
+        matches: e => DEPARTURE_EVENTS.includes(e.event_type) && atStop(e, stop)
+      });
+    }
+  });
+
+  return { stops, milestones };
+}
+
+function buildLifecycleMilestones(lifecycle) {
+  return lifecycle.milestones.map(type => ({
+    name: type,
+    event_types: [type],
+    matches: e => e.event_type === type
+  }));
+}
+
+/**
+ * Walks the events in order and advances to the next milestone each one
+ * satisfies, so a missing event does not stall progress at an earlier step.
+ */
+function matchMilestones(milestones, sortedEvents) {
+  const reached = new Array(milestones.length).fill(null);
+  let pointer = 0;
+  sortedEvents.forEach(e => {
+    for (let i = pointer; i < milestones.length; i++) {
+      if (milestones[i].matches(e)) {
+        reached[i] = e;
+        pointer = i + 1;
+        break;
+      }
+    }
+  });
+  return { reached, pointer };
+}
+
+function describeMilestone(milestone, event) {
+  const { matches, leg, ...description } = milestone;
+  if (event) description.actual_time = event.timestamp;
+  return description;
+}
+
+function calculateJourney(sortedEvents, lifecycle, route) {
+  if (sortedEvents.length === 0) return { progress: 0, journey: null };
+
+  if (!route) {
+    const milestones = buildLifecycleMilestones(lifecycle);
+    const { reached, pointer } = matchMilestones(milestones, sortedEvents);
+    return {
+      progress: Math.round((pointer / milestones.length) * 100),
+      journey: {
+        route_based: false,
+        completed_milestones: milestones.slice(0, pointer).map((m, i) => describeMilestone(m, reached[i])),
+        remaining_milestones: milestones.slice(pointer).map(m => describeMilestone(m)),
+        next_milestone: pointer < milestones.length ? describeMilestone(milestones[pointer]) : null
+      }
+    };
+  }
+
+  const { stops, milestones } = buildRouteMilestones(route);
+  const { reached, pointer } = matchMilestones(milestones, sortedEvents);
+
+  const legs = stops.slice(0, -1).map((from, i) => {
+    const legMilestones = milestones.filter(m => m.leg === i);
+    const done = legMilestones.filter(m => milestones.indexOf(m) < pointer).length;
+    let status = 'pending';
+    if (done === legMilestones.length) status = 'completed';
+    else if (done > 0) status = 'in_progress';
+    return { from: stopName(from), to: stopName(stops[i + 1]), status };
+  });
+
+  return {
+    progress: Math.round((pointer / milestones.length) * 100),
+    journey: {
+      route_based: true,
+      total_legs: legs.length,
+      completed_legs: legs.filter(l => l.status === 'completed').length,
+      legs,
+      completed_milestones: milestones.slice(0, pointer).map((m, i) => describeMilestone(m, reached[i])),
+      remaining_milestones: milestones.slice(pointer).map(m => describeMilestone(m)),
+      next_milestone: pointer < milestones.length ? describeMilestone(milestones[pointer]) : null
+    }
+  };
+}
+
+module.exports = { validateRoute, calculateJourney };
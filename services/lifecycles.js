@@ -0,0 +1,154 @@
+// services/lifecycles.js
+
+/**
+ * Lifecycle state machines per shipment mode. The state of a container is
+ * its latest event type; `transitions` lists the event types allowed to
+ * follow each state. A state with an empty list is terminal. `milestones`
+ * are the default journey steps used when no planned route is known.
+ */
+
+const CUSTOMS_EVENTS = ['customs_clearance', 'customs_hold', 'customs_inspection', 'documentation_hold'];
+
+const FCL_TRANSITIONS = {
+  road_checkpoint: ['road_checkpoint', 'port_arrival'],
+  port_arrival: [...CUSTOMS_EVENTS, 'port_departure', 'road_checkpoint'],
+  customs_clearance: ['port_departure', 'in_transit', 'road_checkpoint'],
+  customs_hold: ['customs_clearance', 'customs_inspection'],
+  customs_inspection: ['customs_clearance', 'customs_hold'],
+  documentation_hold: ['customs_clearance', 'port_departure'],
+  port_departure: ['in_transit', 'transshipment_arrival', 'port_arrival'],
+  in_transit: ['in_transit', 'port_arrival', 'transshipment_arrival'],
+  transshipment_arrival: ['transshipment_loading', 'port_departure', 'in_transit'],
+  transshipment_loading: ['port_departure', 'in_transit']
+};
+
+const LIFECYCLES = {
+  fcl: {
+    mode: 'fcl',
+    milestones: ['port_arrival', 'customs_clearance', 'port_departure', 'in_transit', 'port_arrival'],
+    transitions: FCL_TRANSITIONS
+  },
+  transshipment: {
+    mode: 'transshipment',
+    milestones: ['port_arrival', 'port_departure', 'transshipment_arrival', 'transshipment_loading', 'port_departure', 'port_arrival'],
+    transitions: {
+      ...FCL_TRANSITIONS,
+      // Hub arrivals are sometimes reported as a plain port_arrival
+      port_arrival: [...FCL_TRANSITIONS.port_arrival, 'transshipment_loading']
+    }
+  },
+  lcl: {
+    mode: 'lcl',
+    milestones: ['lcl_pickup', 'lcl_consolidation', 'port_departure', 'port_arrival', 'lcl_deconsolidation', 'lcl_delivery'],
+    transitions: {
+      lcl_pickup: ['road_checkpoint', 'lcl_consolidation'],
+      road_checkpoint: ['road_checkpoint', 'lcl_consolidation', 'port_arrival', 'lcl_delivery'],
+      lcl_consolidation: ['port_departure', 'road_checkpoint'],
+      port_departure: ['in_transit', 'transshipment_arrival', 'port_arrival'],
+      in_transit: ['in_transit', 'port_arrival', 'transshipment_arrival'],
+      transshipment_arrival: ['lcl_deconsolidation', 'transshipment_loading', 'port_departure'],
+      transshipment_loading: ['port_departure', 'in_transit'],
+      port_arrival: [...CUSTOMS_EVENTS, 'lcl_damage_inspection', 'lcl_deconsolidation', 'lcl_delivery', 'road_checkpoint'],
+      customs_clearance: ['lcl_deconsolidation', 'lcl_delivery', 'road_checkpoint'],
+      customs_hold: ['customs_clearance', 'customs_inspection', 'lcl_deconsolidation', 'lcl_delivery'],
+      customs_inspection: ['customs_clearance', 'customs_hold'],
+      documentation_hold: ['customs_clearance', 'customs_hold', 'lcl_deconsolidation'],
+      lcl_damage_inspection: ['lcl_deconsolidation', 'lcl_delivery'],
+      lcl_deconsolidation: ['lcl_consolidation', 'lcl_delivery', 'road_checkpoint'],
+      lcl_delivery: []
+    }
+  },
+  road: {
+    mode: 'road',
+    milestones: ['road_checkpoint', 'customs_clearance', 'lcl_delivery'],
+    transitions: {
+      road_checkpoint: ['road_checkpoint', ...CUSTOMS_EVENTS, 'port_arrival', 'lcl_delivery'],
+      customs_clearance: ['road_checkpoint', 'port_arrival', 'lcl_delivery'],
+      customs_hold: ['customs_clearance', 'customs_inspection'],
+      customs_inspection: ['customs_clearance', 'customs_hold'],
+      documentation_hold: ['customs_clearance', 'road_checkpoint'],
+      port_arrival: [...CUSTOMS_EVENTS, 'road_checkpoint', 'port_departure'],
+      port_departure: ['road_checkpoint'],
+      lcl_delivery: []
+    }
+  }
+};
+
+const STATUSES = {
+  road_checkpoint: 'On Road',
+  port_arrival: 'At Port',
+  port_departure: 'Departed Port',
+  customs_clearance: 'Cleared Customs',
+  customs_hold: 'Held at Customs',
+  customs_inspection: 'Under Customs Inspection',
+  documentation_hold: 'Held for Documentation',
+  in_transit: 'In Transit',
+  transshipment_arrival: 'At Transshipment Port',
+  transshipment_loading: 'Loading at Transshipment Port',
+  lcl_pickup: 'Picked Up',
+  lcl_consolidation: 'Consolidating',
+  lcl_deconsolidation: 'Deconsolidating',
+  lcl_damage_inspection: 'Under Damage Inspection',
+  lcl_delivery: 'Delivered'
+};
+
+const SHIPMENT_TYPE_MODES = { FCL: 'fcl', LCL: 'lcl', ROAD: 'road', FTL: 'road', LTL: 'road' };
+
+/**
+ * Picks the lifecycle from shipment metadata (shipment_type / service_type on
+ * the latest event that carries them), falling back to the event types seen.
+ */
+function selectLifecycle(events) {
+  const tagged = [...events].reverse().find(e => e.shipment_type || e.metadata?.shipment_type);
+  if (tagged) {
+    const shipmentType = String(tagged.shipment_type || tagged.metadata.shipment_type).toUpperCase();
+    const serviceType = tagged.service_type || tagged.metadata?.service_type;
+    const mode = SHIPMENT_TYPE_MODES[shipmentType];
+    if (mode === 'fcl' && serviceType === 'transshipment') return LIFECYCLES.transshipment;
+    if (mode) return LIFECYCLES[mode];
+  }
+
+  const types = new Set(events.map(e => e.event_type));
+  if ([...types].some(t => t.startsWith('lcl_'))) return LIFECYCLES.lcl;
+  if (types.has('transshipment_arrival') || types.has('transshipment_loading')) return LIFECYCLES.transshipment;
+  if (types.size > 0 && [...types].every(t => t === 'road_checkpoint' || CUSTOMS_EVENTS.includes(t))) {
+    return LIFECYCLES.road;
+  }
+  return LIFECYCLES.fcl;
+}
+
+function allowedNext(lifecycle, state) {
+  return lifecycle.transitions[state] || [];
+}
+
+function isAllowedTransition(lifecycle, fromState, eventType) {
+  return allowedNext(lifecycle, fromState).includes(eventType);
+}
+
+// sortedEvents must be in chronological order
+function getLifecycleState(lifecycle, sortedEvents) {
+  const last = sortedEvents[sortedEvents.length - 1];
+  return {
+    mode: lifecycle.mode,
+    state: last.event_type,
+    allowed_next: allowedNext(lifecycle, last.event_type)
+  };
+}
+
+// A port arrival after a departure is the end of a sea leg, not the origin gate-in
+function getStatus(sortedEvents) {
+  const last = sortedEvents[sortedEvents.length - 1];
+  if (last.event_type === 'port_arrival' && sortedEvents.some(e => e.event_type === 'port_departure')) {
+    return 'Arrived at Destination';
+  }
+  return STATUSES[last.event_type] || 'In Progress';
+}
+
+module.exports = {
+  LIFECYCLES,
+  selectLifecycle,
+  allowedNext,
+  isAllowedTransition,
+  getLifecycleState,
+  getStatus
+};
@@ -0,0 +1,66 @@
+// services/liveStream.js
+const { EventEmitter } = require('events');
+const { feed } = require('./resultFeed');
+
+/**
+ * Live stream of processing output for dashboards. Every recomputed container
+ * result and every new anomaly on the result feed becomes a message with an
+ * increasing id:
+ *   { id, tenant, type: 'result', data: { container_id, result, status_change } }
+ *   { id, tenant, type: 'anomaly', data: { container_id, anomaly, current_status } }
+ * The latest MAX_BUFFERED messages are kept so a client that reconnects can
+ * resume after the last id it saw. Ids restart with the process.
+ */
+
+const MAX_BUFFERED = 1000;
+
+const stream = new EventEmitter();
+stream.setMaxListeners(0);
+
+const buffer = [];
+let lastId = 0;
+
+function append(tenant, type, data) {
+  const message = { id: ++lastId, tenant, type, data };
+  buffer.push(message);
+  if (buffer.length > MAX_BUFFERED) buffer.shift();
+  stream.emit('message', message);
+}
+
+feed.on('change', ({ tenant, result, status_change, new_anomalies }) => {
+  append(tenant, 'result', { container_id: result.container_id, result, status_change });
+  new_anomalies.forEach(anomaly => append(tenant, 'anomaly', {
+    container_id: result.container_id,
+    anomaly,
+    current_status: result.current_status
+  }));
+});
+
+/**
+ * filters: { tenant, container_ids, anomaly_types }, each null for all.
+ * With anomaly_types only anomaly messages of those types are sent.
+ */
+function matchesFilters(message, { tenant = null, container_ids = null, anomaly_types = null } = {}) {
+  if (tenant && message.tenant !== tenant) return false;
+  if (container_ids && !container_ids.includes(message.data.container_id)) return false;
+  if (!anomaly_types) return true;
+  return message.type === 'anomaly' && anomaly_types.includes(message.data.anomaly.type);
+}
+
+// Buffered messages after afterId, or null when some of them were already dropped (or the id is unknown)
+function messagesSince(afterId) {
+  if (afterId > lastId) return null;
+  const oldest = buffer.length > 0 ? buffer[0].id : lastId + 1;
+  if (afterId < oldest - 1) return null;
+  return buffer.filter(message => message.id > afterId);
+}
+
+// Calls listener with every new message; returns the function that stops it
+function subscribe(listener) {
+  stream.on('message', listener);
+  return () => stream.off('message', listener);
+}
+
+const getLastId = () => lastId;
+
+module.exports = { matchesFilters, messagesSince, subscribe, getLastId };
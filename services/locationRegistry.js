@@ -0,0 +1,111 @@
+// services/locationRegistry.js
+const fs = require('fs');
+const path = require('path');
+const { getPortTimezone } = require('./portTimezones');
+
+/**
+ * Port and location master data, loaded from LOCATION_REGISTRY or
+ * config/locations.json as a list of:
+ *   { code, name, country, aliases: [...], coordinates: { lat, lon } }
+ * where code is the UN/LOCODE and aliases are other names and codes carriers
+ * use for the same place. Each entry gets its timezone from portTimezones.js. Lookups ignore case and extra whitespace, and accept
+ * LOCODEs written with a space ('SG SIN').
+ */
+
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, '..', 'config', 'locations.json');
+
+let registry = null;
+
+function lookupKey(value) {
+  const key = String(value).trim().replace(/\s+/g, ' ').toUpperCase();
+  return /^[A-Z]{2} [A-Z0-9]{3}$/.test(key) ? key.replace(' ', '') : key;
+}
+
+function checkEntry(entry, filePath) {
+  const where = `location ${entry.code || JSON.stringify(entry.name)} in ${filePath}`;
+  if (!entry.code || !entry.name) throw new Error(`Missing code or name for ${where}`);
+  const { lat, lon } = entry.coordinates || {};
+  if (typeof lat !== 'number' || typeof lon !== 'number' || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    throw new Error(`Invalid coordinates for ${where}`);
+  }
+  if (!entry.timezone) throw new Error(`No time zone in config/portTimezones.json for ${where}`);
+}
+
+// Parses and indexes a registry file; invalid entries and ambiguous aliases fail on load
+function loadLocationRegistry(filePath = process.env.LOCATION_REGISTRY || DEFAULT_REGISTRY_PATH) {
+  const entries = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    .map(entry => ({ ...entry, timezone: getPortTimezone(entry.code) }));
+  const byKey = new Map();
+
+  entries.forEach(entry => {
+    checkEntry(entry, filePath);
+    [entry.code, entry.name, ...(entry.aliases || [])].forEach(value => {
+      const key = lookupKey(value);
+      const existing = byKey.get(key);
+      if (existing && existing !== entry) {
+        throw new Error(`'${value}' names both ${existing.code} and ${entry.code} in ${filePath}`);
+      }
+      byKey.set(key, entry);
+    });
+  });
+  return { entries, byKey };
+}
+
+function getLocationRegistry() {
+  if (!registry) registry = loadLocationRegistry();
+  return registry;
+}
+
+// The registry entry for a code, name or alias, or null
+function findLocation(value, locations = getLocationRegistry()) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  return locations.byKey.get(lookupKey(value)) || null;
+}
+
+// Where an event happened: its metadata.port_code when known, else its location
+function resolveEventLocation(event, locations = getLocationRegistry()) {
+  return findLocation(event.metadata?.port_code, locations) || findLocation(event.location, locations);
+}
+
+// True when the event carries a port_code the registry does not know
+function hasUnknownPortCode(event, locations = getLocationRegistry()) {
+  const portCode = event.metadata?.port_code;
+  return portCode !== undefined && portCode !== null && !findLocation(portCode, locations);
+}
+
+const EARTH_RADIUS_KM = 6371;
+
+// Great-circle distance between two { lat, lon } points
+function distanceKm(a, b) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+// A position such as '12.5°N 72.0°E' (as in in_transit metadata.current_position) as { lat, lon }, or null
+function parsePosition(value) {
+  const match = typeof value === 'string' && value.trim().match(/^(\d+(?:\.\d+)?)°?\s*([NS])[\s,]+(\d+(?:\.\d+)?)°?\s*([EW])$/i);
+  if (!match) return null;
+  const lat = Number(match[1]) * (match[2].toUpperCase() === 'S' ? -1 : 1);
+  const lon = Number(match[3]) * (match[4].toUpperCase() === 'W' ? -1 : 1);
+  return Math.abs(lat) <= 90 && Math.abs(lon) <= 180 ? { lat, lon } : null;
+}
+
+// { code, name, country, coordinates } for results, or null
+function describeLocation(entry) {
+  if (!entry) return null;
+  return { code: entry.code, name: entry.name, country: entry.country, coordinates: { ...entry.coordinates } };
+}
+
+module.exports = {
+  loadLocationRegistry,
+  getLocationRegistry,
+  findLocation,
+  resolveEventLocation,
+  hasUnknownPortCode,
+  describeLocation,
+  distanceKm,
+  parsePosition
+};
@@ -0,0 +1,31 @@
+// services/portTimezones.js
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TIMEZONES_PATH = path.join(__dirname, '..', 'config', 'portTimezones.json');
+
+let timezones = null;
+
+// { <port_code>: <IANA time zone> }, from PORT_TIMEZONES or config/; unknown zones fail on load
+function getPortTimezones() {
+  if (!timezones) {
+    const filePath = process.env.PORT_TIMEZONES || DEFAULT_TIMEZONES_PATH;
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    Object.entries(parsed).forEach(([portCode, timeZone]) => {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+      } catch (err) {
+        throw new Error(`Unknown time zone '${timeZone}' for port ${portCode} in ${filePath}`);
+      }
+    });
+    timezones = parsed;
+  }
+  return timezones;
+}
+
+function getPortTimezone(portCode) {
+  if (!portCode) return null;
+  return getPortTimezones()[String(portCode).toUpperCase()] || null;
+}
+
+module.exports = { getPortTimezones, getPortTimezone };
@@ -0,0 +1,172 @@
+// services/reportFormats.js
+
+/**
+ * Output formats for processed container results. Every format renders an
+ * array of container results to a string:
+ *   json          - the results array, pretty printed
+ *   ndjson        - one container result per line
+ *   csv           - one row per container
+ *   anomalies-csv - one row per anomaly
+ *   html          - self-contained report with per-container timelines and
+ *                   anomaly highlights, ready to send to customers
+ */
+
+const CONTAINER_COLUMNS = [
+  ['container_id', r => r.container_id],
+  ['current_status', r => r.current_status],
+  ['current_location', r => r.current_location],
+  ['last_event_time', r => r.last_event_time],
+  ['total_events', r => r.total_events],
+  ['journey_progress', r => r.journey_progress],
+  ['lifecycle_mode', r => r.lifecycle?.mode],
+  ['predicted_arrival', r => r.predicted_arrival?.time],
+  ['anomaly_count', r => r.anomalies.length],
+  ['anomaly_types', r => [...new Set(r.anomalies.map(a => a.type))].join(';')]
+];
+
+const ANOMALY_COLUMNS = [
+  ['container_id', (r) => r.container_id],
+  ['type', (r, a) => a.type],
+  ['severity', (r, a) => a.severity],
+  ['message', (r, a) => a.message],
+  ['timestamp', (r, a) => a.timestamp],
+  ['current_status', (r) => r.current_status],
+  ['current_location', (r) => r.current_location]
+];
+
+// Quotes per RFC 4180; text that a spreadsheet would run as a formula is prefixed with '
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRows(header, rows) {
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function toContainerCsv(results) {
+  return csvRows(
+    CONTAINER_COLUMNS.map(([name]) => name),
+    results.map(r => CONTAINER_COLUMNS.map(([, get]) => get(r)))
+  );
+}
+
+function toAnomalyCsv(results) {
+  const rows = [];
+  results.forEach(r => r.anomalies.forEach(a => rows.push(ANOMALY_COLUMNS.map(([, get]) => get(r, a)))));
+  return csvRows(ANOMALY_COLUMNS.map(([name]) => name), rows);
+}
+
+function toNdjson(results) {
+  return results.map(r => JSON.stringify(r)).join('\n') + (results.length > 0 ? '\n' : '');
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[ch]);
+}
+
+const REPORT_STYLE = `
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2933; margin: 2rem; }
+  h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+  .generated { color: #616e7c; margin-top: 0; }
+  .summary td, .summary th { padding: 0.25rem 1rem 0.25rem 0; text-align: left; }
+  section.container { border: 1px solid #cbd2d9; border-radius: 6px; padding: 1rem 1.25rem; margin: 1.5rem 0; page-break-inside: avoid; }
+  section.container h2 { font-size: 1.15rem; margin: 0 0 0.5rem; }
+  .facts { color: #3e4c59; margin: 0 0 0.75rem; }
+  .progress { background: #e4e7eb; border-radius: 4px; height: 8px; width: 240px; display: inline-block; vertical-align: middle; }
+  .progress span { background: #2f80ed; border-radius: 4px; display: block; height: 8px; }
+  ul.anomalies { padding-left: 1.25rem; }
+  .severity-high { color: #b42318; font-weight: 600; }
+  .severity-medium { color: #b54708; font-weight: 600; }
+  .severity-low { color: #616e7c; }
+  table.timeline { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+  table.timeline th, table.timeline td { border-bottom: 1px solid #e4e7eb; padding: 0.35rem 0.5rem; text-align: left; }
+  tr.flagged { background: #fff4e5; }
+  .ok { color: #027a48; }
+`;
+
+function renderContainer(result) {
+  const flagged = new Set(result.anomalies.map(a => a.timestamp).filter(Boolean));
+  const prediction = result.predicted_arrival
+    ? ` &middot; Predicted arrival: ${escapeHtml(result.predicted_arrival.time)}`
+    : '';
+
+  const anomalies = result.anomalies.length === 0
+    ? '<p class="ok">No anomalies detected.</p>'
+    : `<ul class="anomalies">${result.anomalies.map(a =>
+      `<li class="severity-${escapeHtml(a.severity)}">[${escapeHtml(a.severity)}] ${escapeHtml(a.type)}: ${escapeHtml(a.message)}</li>`
+    ).join('')}</ul>`;
+
+  const timeline = result.timeline.map(item => `
+        <tr${flagged.has(item.timestamp) ? ' class="flagged"' : ''}>
+          <td>${escapeHtml(item.timestamp)}</td>
+          <td>${escapeHtml(item.event_type)}</td>
+          <td>${escapeHtml(item.location)}</td>
+          <td>${item.delay_minutes === undefined ? '' : escapeHtml(item.delay_minutes)}</td>
+        </tr>`).join('');
+
+  return `
+    <section class="container" id="container-${escapeHtml(result.container_id)}">
+      <h2>${escapeHtml(result.container_id)} &mdash; ${escapeHtml(result.current_status)}</h2>
+      <p class="facts">
+        Location: ${escapeHtml(result.current_location)} &middot; Last update: ${escapeHtml(result.last_event_time)}${prediction}<br>
+        Progress: <span class="progress"><span style="width: ${Number(result.journey_progress) || 0}%"></span></span> ${escapeHtml(result.journey_progress)}%
+      </p>
+      ${anomalies}
+      <table class="timeline">
+        <thead><tr><th>Time</th><th>Event</th><th>Location</th><th>Delay (min)</th></tr></thead>
+        <tbody>${timeline}
+        </tbody>
+      </table>
+    </section>`;
+}
+
+function toHtmlReport(results, { title = 'Container Tracking Report', generatedAt = new Date().toISOString() } = {}) {
+  const anomalyCount = results.reduce((sum, r) => sum + r.anomalies.length, 0);
+  const withAnomalies = results.filter(r => r.anomalies.length > 0).length;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>${REPORT_STYLE}</style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p class="generated">Generated ${escapeHtml(generatedAt)}</p>
+  <table class="summary">
+    <tr><th>Containers</th><td>${results.length}</td></tr>
+    <tr><th>Containers with anomalies</th><td>${withAnomalies}</td></tr>
+    <tr><th>Anomalies</th><td>${anomalyCount}</td></tr>
+  </table>
+  ${results.map(renderContainer).join('')}
+</body>
+</html>
+`;
+}
+
+const FORMATS = {
+  json: { contentType: 'application/json', extension: '.json', render: results => JSON.stringify(results, null, 2) },
+  ndjson: { contentType: 'application/x-ndjson', extension: '.ndjson', render: toNdjson },
+  csv: { contentType: 'text/csv', extension: '.csv', render: toContainerCsv },
+  'anomalies-csv': { contentType: 'text/csv', extension: '.csv', render: toAnomalyCsv },
+  html: { contentType: 'text/html', extension: '.html', render: toHtmlReport }
+};
+
+function getFormat(name) {
+  return Object.prototype.hasOwnProperty.call(FORMATS, name) ? FORMATS[name] : null;
+}
+
+module.exports = {
+  FORMATS,
+  getFormat,
+  toContainerCsv,
+  toAnomalyCsv,
+  toNdjson,
+  toHtmlReport
+};
@@ -0,0 +1,70 @@
+// services/resultDiff.js
+const { diffResults } = require('./resultFeed');
+
+/**
+ * What changed between two results of the same container, or null when
+ * nothing relevant did.
+ */
+function compareResults(previous, result) {
+  const { new_anomalies, status_change } = diffResults(previous, result);
+  const resolved = diffResults(result, previous).new_anomalies;
+  const progressChange = previous.journey_progress !== result.journey_progress
+    ? { from: previous.journey_progress, to: result.journey_progress }
+    : null;
+  const locationChange = previous.current_location !== result.current_location
+    ? { from: previous.current_location, to: result.current_location }
+    : null;
+  // Events gained (or cancelled) without a change of status or location still count
+  const eventsChange = previous.total_events !== result.total_events || previous.last_event_time !== result.last_event_time
+    ? {
+        from: { total_events: previous.total_events, last_event_time: previous.last_event_time },
+        to: { total_events: result.total_events, last_event_time: result.last_event_time }
+      }
+    : null;
+
+  if (!status_change && !progressChange && !locationChange && !eventsChange && new_anomalies.length === 0 && resolved.length === 0) {
+    return null;
+  }
+  return {
+    status_change,
+    location_change: locationChange,
+    progress_change: progressChange,
+    events_change: eventsChange,
+    new_anomalies,
+    resolved_anomalies: resolved
+  };
+}
+
+/**
+ * Compares two sets of container results (e.g. yesterday's and today's
+ * processing output). Containers are matched by container_id.
+ */
+function compareResultSets(before, after) {
+  const beforeById = new Map(before.map(r => [r.container_id, r]));
+  const afterById = new Map(after.map(r => [r.container_id, r]));
+
+  const added = after.filter(r => !beforeById.has(r.container_id)).map(r => r.container_id);
+  const removed = before.filter(r => !afterById.has(r.container_id)).map(r => r.container_id);
+  const changed = [];
+  let unchanged = 0;
+
+  after.forEach(result => {
+    const previous = beforeById.get(result.container_id);
+    if (!previous) return;
+
+    const changes = compareResults(previous, result);
+    if (!changes) {
+      unchanged++;
+      return;
+    }
+    changed.push({ container_id: result.container_id, ...changes });
+  });
+
+  return { added, removed, changed, unchanged };
+}
+
+function hasDifferences(diff) {
+  return diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0;
+}
+
+module.exports = { compareResults, compareResultSets, hasDifferences };
@@ -0,0 +1,30 @@
+// services/resultFeed.js
+const { EventEmitter } = require('events');
+const { DEFAULT_TENANT } = require('./eventStore');
+
+/**
+ * In-process feed of recomputed container results. Pass publishResult as the
+ * onResult option of processContainerEvents; listeners receive a 'change'
+ * event with { tenant, result, previous, new_anomalies, status_change } and
+ * only pass it on to the same tenant.
+ */
+const feed = new EventEmitter();
+feed.setMaxListeners(0);
+
+const anomalyKey = (a) => `${a.type}|${a.message}`;
+
+function diffResults(previous, result) {
+  const seen = new Set((previous ? previous.anomalies : []).map(anomalyKey));
+  const newAnomalies = result.anomalies.filter(a => !seen.has(anomalyKey(a)));
+
+  const from = previous ? previous.current_status : null;
+  const statusChange = from !== result.current_status ? { from, to: result.current_status } : null;
+
+  return { new_anomalies: newAnomalies, status_change: statusChange };
+}
+
+function publishResult(result, previous, tenant = DEFAULT_TENANT) {
+  feed.emit('change', { tenant, result, previous, ...diffResults(previous, result) });
+}
+
+module.exports = { feed, diffResults, publishResult };
@@ -0,0 +1,165 @@
+// services/shipments.js
+const { validateRoute } = require('./journey');
+
+/**
+ * Shipments group containers under a bill of lading (bl_number) or booking
+ * number, with shipment-level parties such as shipper and consignee. Two
+ * input shapes are accepted:
+ *   { bl_number, shipper, consignee, containers: [{ container_id, events, route }] }
+ *   { bl_number, shipper, consignee, container_id, events, route }   (one container)
+ * Shipments without a bl_number or booking_number are processed as plain
+ * containers and not recorded.
+ */
+
+// Shipment-level fields copied onto each event so lifecycle selection can see them
+const SHIPMENT_EVENT_FIELDS = ['shipment_type', 'service_type'];
+
+// Shipment-level fields kept on the shipment record
+const SHIPMENT_FIELDS = [
+  'bl_number', 'booking_number', 'shipper', 'consignee', 'shipment_type', 'service_type',
+  'trade_type', 'origin', 'destination', 'commodity'
+];
+
+function shipmentIdOf(shipment) {
+  return shipment.bl_number || shipment.booking_number || null;
+}
+
+function flattenShipmentEvents(shipment, containerId = shipment.container_id) {
+  if (!shipment.events || !Array.isArray(shipment.events)) return [];
+
+  const shared = {};
+  SHIPMENT_EVENT_FIELDS.forEach(field => {
+    if (shipment[field] !== undefined) shared[field] = shipment[field];
+  });
+
+  return shipment.events.map(e => ({ ...shared, ...e, container_id: containerId }));
+}
+
+// The containers of a shipment in either input shape, each with the shipment's event fields
+function shipmentContainers(shipment) {
+  if (!Array.isArray(shipment.containers)) return [shipment];
+  const shared = {};
+  SHIPMENT_EVENT_FIELDS.forEach(field => {
+    if (shipment[field] !== undefined) shared[field] = shipment[field];
+  });
+  return shipment.containers.map(c => (c && typeof c === 'object' ? { ...shared, ...c } : c));
+}
+
+/**
+ * Reads shipments into events, planned routes (keyed by container id) and
+ * shipment records. Errors carry the shipment index (and container index for
+ * multi-container shipments) so clients can find the shipment:
+ *   errors       - containers without container_id or events
+ *   route_errors - invalid planned routes
+ */
+function readShipments(shipments, offset = 0) {
+  const events = [];
+  const routes = {};
+  const records = [];
+  const errors = [];
+  const routeErrors = [];
+
+  shipments.forEach((shipment, i) => {
+    const where = { shipment_index: offset + i };
+    if (!shipment || typeof shipment !== 'object' || Array.isArray(shipment)) {
+      errors.push({ ...where, field: null, code: 'invalid_shipment', message: 'shipment must be an object' });
+      return;
+    }
+
+    const containerIds = [];
+    shipmentContainers(shipment).forEach((container, j) => {
+      const at = Array.isArray(shipment.containers) ? { ...where, container_index: j } : where;
+      if (!container || typeof container !== 'object' || !container.container_id) {
+        errors.push({ ...at, field: 'container_id', code: 'required', message: 'container_id is required for every container of a shipment' });
+        return;
+      }
+      if (!Array.isArray(container.events)) {
+        errors.push({ ...at, field: 'events', code: 'required', message: `events must be an array for container ${container.container_id}` });
+        return;
+      }
+      containerIds.push(container.container_id);
+      events.push(...flattenShipmentEvents(container));
+      if (container.route === undefined) return;
+      const problems = validateRoute(container.route);
+      if (problems.length > 0) {
+        problems.forEach(err => routeErrors.push({ ...at, ...err }));
+      } else {
+        routes[container.container_id] = container.route;
+      }
+    });
+
+    const id = shipmentIdOf(shipment);
+    if (id && containerIds.length > 0) {
+      const record = { shipment_id: id, container_ids: containerIds };
+      SHIPMENT_FIELDS.forEach(field => {
+        if (shipment[field] !== undefined) record[field] = shipment[field];
+      });
+      records.push(record);
+    }
+  });
+
+  return { events, routes, shipments: records, errors, route_errors: routeErrors };
+}
+
+// Adds shipment records to the store, merging with what is known: later fields win, containers accumulate
+function recordShipments(store, records) {
+  records.forEach(record => {
+    const existing = store.getShipment(record.shipment_id);
+    if (!existing) {
+      store.saveShipment(record.shipment_id, record);
+      return;
+    }
+    const containerIds = [...new Set([...existing.container_ids, ...record.container_ids])];
+    store.saveShipment(record.shipment_id, { ...existing, ...record, container_ids: containerIds });
+  });
+}
+
+// The container holding the shipment back: least progress, then the oldest last event
+function slowestContainer(results) {
+  const active = results.filter(r => r.current_status !== 'Cancelled');
+  const candidates = active.length > 0 ? active : results;
+  return [...candidates].sort((a, b) => (a.journey_progress - b.journey_progress) ||
+    (new Date(a.last_event_time) - new Date(b.last_event_time)))[0] || null;
+}
+
+/**
+ * Rolls container results up to their shipment: status and progress of the
+ * slowest container, and the anomalies of every container. getResult looks
+ * up a container's latest result (null when it has none yet).
+ */
+function buildShipmentResult(shipment, getResult) {
+  const results = shipment.container_ids.map(getResult).filter(Boolean);
+  const slowest = slowestContainer(results);
+  const { container_ids, ...fields } = shipment;
+
+  return {
+    ...fields,
+    current_status: slowest ? slowest.current_status : null,
+    journey_progress: slowest ? slowest.journey_progress : 0,
+    slowest_container: slowest ? slowest.container_id : null,
+    total_containers: container_ids.length,
+    containers: container_ids.map(id => {
+      const result = results.find(r => r.container_id === id);
+      if (!result) return { container_id: id, current_status: null };
+      return {
+        container_id: id,
+        current_status: result.current_status,
+        current_location: result.current_location,
+        journey_progress: result.journey_progress,
+        last_event_time: result.last_event_time,
+        anomaly_count: result.anomalies.length
+      };
+    }),
+    anomalies: results.flatMap(r => r.anomalies.map(a => ({ container_id: r.container_id, ...a })))
+  };
+}
+
+module.exports = {
+  SHIPMENT_FIELDS,
+  SHIPMENT_EVENT_FIELDS,
+  shipmentIdOf,
+  flattenShipmentEvents,
+  readShipments,
+  recordShipments,
+  buildShipmentResult
+};
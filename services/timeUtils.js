@@ -0,0 +1,76 @@
+// services/timeUtils.js
+
+// Date-time with a UTC designator or a numeric offset, e.g. 2024-11-15T16:30:00+08:00
+const ISO_8601_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+function calculateDelayMinutes(actual, expected) {
+  if (!expected) return null;
+  const a = new Date(actual);
+  const e = new Date(expected);
+  if (isNaN(a) || isNaN(e)) return null;
+  return Math.round((a - e) / (1000 * 60));
+}
+
+function hoursBetween(from, to) {
+  return (new Date(to) - new Date(from)) / 3600000;
+}
+
+function isValidTimestamp(value) {
+  return typeof value === 'string' && ISO_8601_PATTERN.test(value) && !isNaN(new Date(value));
+}
+
+// The offset of a valid timestamp as '+08:00', or 'Z'
+function offsetOf(timestamp) {
+  const offset = timestamp.match(ISO_8601_PATTERN)[3];
+  return offset === 'Z' ? 'Z' : `${offset.slice(0, 3)}:${offset.slice(-2)}`;
+}
+
+// UTC form of a valid timestamp; milliseconds are only kept when there are any
+function toUtc(timestamp) {
+  return new Date(timestamp).toISOString().replace('.000Z', 'Z');
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+// Wall-clock time at a fixed offset such as '+08:00', e.g. 2024-11-15T16:30:00+08:00
+function formatAtOffset(timestamp, offset) {
+  const minutes = offset === 'Z' ? 0 : (offset[0] === '-' ? -1 : 1) * (Number(offset.slice(1, 3)) * 60 + Number(offset.slice(-2)));
+  const shifted = new Date(new Date(timestamp).getTime() + minutes * 60000).toISOString();
+  return `${shifted.slice(0, 19)}${formatOffset(minutes)}`;
+}
+
+// Wall-clock time in an IANA time zone, with that zone's offset at the time
+function formatInTimeZone(timestamp, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    timeZoneName: 'longOffset'
+  }).formatToParts(new Date(timestamp)).map(p => [p.type, p.value]));
+  const offset = parts.timeZoneName === 'GMT' ? '+00:00' : parts.timeZoneName.slice(3);
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}${offset}`;
+}
+
+module.exports = {
+  ISO_8601_PATTERN,
+  calculateDelayMinutes,
+  hoursBetween,
+  isValidTimestamp,
+  offsetOf,
+  toUtc,
+  formatAtOffset,
+  formatInTimeZone
+};
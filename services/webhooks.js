@@ -0,0 +1,243 @@
+// services/webhooks.js
+const crypto = require('crypto');
+const { feed } = require('./resultFeed');
+const { DEFAULT_TENANT } = require('./eventStore');
+
+/**
+ * Webhook subscriptions. Each subscription registers a callback URL and
+ * filters; matching notifications are POSTed as JSON signed with the
+ * subscription secret:
+ *   X-WeTrack-Signature: sha256=<hex HMAC of the raw body>
+ * Failed deliveries are retried with exponential backoff and every attempt
+ * is kept in the subscription's delivery log.
+ *
+ * Subscriptions belong to a tenant: they are only visible to it and only
+ * notified of its containers.
+ */
+
+const NOTIFICATION_TYPES = ['anomaly.detected', 'status.changed'];
+const MAX_DELIVERY_LOG = 100;
+const REQUEST_TIMEOUT_MS = 10000;
+
+const deliverySettings = () => ({
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+  backoffMs: parseInt(process.env.WEBHOOK_BACKOFF_MS, 10) || 1000
+});
+
+const subscriptions = new Map();
+
+function validateSubscription(input) {
+  const errors = [];
+  const issue = (field, code, message) => errors.push({ field, code, message });
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    issue(null, 'invalid_subscription', 'body must be an object');
+    return errors;
+  }
+
+  let url = null;
+  try {
+    url = new URL(input.url);
+  } catch (err) {
+    issue('url', 'invalid_url', 'url must be an absolute http(s) URL');
+  }
+  if (url && !['http:', 'https:'].includes(url.protocol)) {
+    issue('url', 'invalid_url', 'url must be an absolute http(s) URL');
+  }
+
+  if (input.secret !== undefined && (typeof input.secret !== 'string' || input.secret.length < 16)) {
+    issue('secret', 'invalid_secret', 'secret must be a string of at least 16 characters');
+  }
+
+  if (input.events !== undefined) {
+    if (!Array.isArray(input.events) || input.events.some(e => !NOTIFICATION_TYPES.includes(e))) {
+      issue('events', 'invalid_events', `events must be an array of: ${NOTIFICATION_TYPES.join(', ')}`);
+    }
+  }
+
+  const filters = input.filters || {};
+  ['container_ids', 'anomaly_types'].forEach(field => {
+    if (filters[field] !== undefined && (!Array.isArray(filters[field]) || filters[field].some(v => typeof v !== 'string'))) {
+      issue(`filters.${field}`, 'invalid_filter', `filters.${field} must be an array of strings`);
+    }
+  });
+  if (filters.status_transitions !== undefined) {
+    const valid = Array.isArray(filters.status_transitions) &&
+      filters.status_transitions.every(t => t && typeof t === 'object' && (t.from !== undefined || t.to !== undefined));
+    if (!valid) {
+      issue('filters.status_transitions', 'invalid_filter', 'filters.status_transitions must be an array of { from, to }');
+    }
+  }
+
+  return errors;
+}
+
+// The secret is only returned when the subscription is created
+function describe(subscription, { includeSecret = false } = {}) {
+  const { secret, deliveries, ...rest } = subscription;
+  return includeSecret ? { ...rest, secret } : rest;
+}
+
+function createSubscription(input, tenant = DEFAULT_TENANT) {
+  const filters = input.filters || {};
+  const subscription = {
+    id: crypto.randomUUID(),
+    tenant,
+    url: input.url,
+    secret: input.secret || crypto.randomBytes(32).toString('hex'),
+    events: input.events || [...NOTIFICATION_TYPES],
+    filters: {
+      container_ids: filters.container_ids || null,
+      anomaly_types: filters.anomaly_types || null,
+      status_transitions: filters.status_transitions || null
+    },
+    created_at: new Date().toISOString(),
+    deliveries: []
+  };
+  subscriptions.set(subscription.id, subscription);
+  return describe(subscription, { includeSecret: true });
+}
+
+// A subscription of another tenant is treated as unknown
+function findOwn(id, tenant) {
+  const subscription = subscriptions.get(id);
+  return subscription && subscription.tenant === tenant ? subscription : null;
+}
+
+function listSubscriptions(tenant = DEFAULT_TENANT) {
+  return [...subscriptions.values()].filter(s => s.tenant === tenant).map(s => describe(s));
+}
+
+function getSubscription(id, tenant = DEFAULT_TENANT) {
+  const subscription = findOwn(id, tenant);
+  return subscription ? describe(subscription) : null;
+}
+
+function deleteSubscription(id, tenant = DEFAULT_TENANT) {
+  return Boolean(findOwn(id, tenant)) && subscriptions.delete(id);
+}
+
+function getDeliveries(id, tenant = DEFAULT_TENANT) {
+  const subscription = findOwn(id, tenant);
+  return subscription ? [...subscription.deliveries] : null;
+}
+
+function signPayload(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function matchesTransition(transitions, change) {
+  if (!transitions) return true;
+  return transitions.some(t =>
+    (t.from === undefined || t.from === change.from) && (t.to === undefined || t.to === change.to)
+  );
+}
+
+// Builds the notifications a subscription should receive for one result change
+function notificationsFor(subscription, change) {
+  const { filters, events } = subscription;
+  const { result } = change;
+  if (subscription.tenant !== change.tenant) return [];
+  if (filters.container_ids && !filters.container_ids.includes(result.container_id)) return [];
+
+  const notifications = [];
+  if (events.includes('anomaly.detected')) {
+    change.new_anomalies
+      .filter(a => !filters.anomaly_types || filters.anomaly_types.includes(a.type))
+      .forEach(anomaly => notifications.push({
+        type: 'anomaly.detected',
+        container_id: result.container_id,
+        anomaly,
+        current_status: result.current_status
+      }));
+  }
+  if (events.includes('status.changed') && change.status_change && matchesTransition(filters.status_transitions, change.status_change)) {
+    notifications.push({
+      type: 'status.changed',
+      container_id: result.container_id,
+      from: change.status_change.from,
+      to: change.status_change.to
+    });
+  }
+  return notifications;
+}
+
+async function attemptDelivery(subscription, delivery, body) {
+  const { maxAttempts, backoffMs } = deliverySettings();
+  delivery.attempts++;
+  delivery.last_attempt_at = new Date().toISOString();
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-WeTrack-Event': delivery.event,
+        'X-WeTrack-Delivery': delivery.id,
+        'X-WeTrack-Signature': signPayload(subscription.secret, body)
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    delivery.response_status = response.status;
+    if (response.ok) {
+      delivery.status = 'delivered';
+      delivery.error = null;
+      delivery.next_attempt_at = null;
+      delivery.delivered_at = new Date().toISOString();
+      return;
+    }
+    delivery.error = `HTTP ${response.status}`;
+  } catch (err) {
+    delivery.error = err.message;
+  }
+
+  if (delivery.attempts >= maxAttempts) {
+    delivery.status = 'failed';
+    delivery.next_attempt_at = null;
+    return;
+  }
+  const delay = backoffMs * 2 ** (delivery.attempts - 1);
+  delivery.next_attempt_at = new Date(Date.now() + delay).toISOString();
+  setTimeout(() => {
+    // A deleted subscription gets no further attempts
+    if (!subscriptions.has(subscription.id)) return;
+    attemptDelivery(subscription, delivery, body);
+  }, delay).unref();
+}
+
+function deliver(subscription, notification) {
+  const delivery = {
+    id: crypto.randomUUID(),
+    event: notification.type,
+    container_id: notification.container_id,
+    status: 'pending',
+    attempts: 0,
+    response_status: null,
+    error: null,
+    next_attempt_at: null,
+    created_at: new Date().toISOString()
+  };
+  subscription.deliveries.unshift(delivery);
+  subscription.deliveries.length = Math.min(subscription.deliveries.length, MAX_DELIVERY_LOG);
+
+  const body = JSON.stringify({ delivery_id: delivery.id, sent_at: delivery.created_at, ...notification });
+  attemptDelivery(subscription, delivery, body);
+}
+
+feed.on('change', change => {
+  subscriptions.forEach(subscription => {
+    notificationsFor(subscription, change).forEach(n => deliver(subscription, n));
+  });
+});
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  validateSubscription,
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  deleteSubscription,
+  getDeliveries,
+  signPayload
+};
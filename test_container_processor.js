@@ -1,5 +1,26 @@
 const assert = require('assert');
-const { processContainerEvents, validateEvent, detectAnomalies } = require('.services/containerProcessor.js');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { processContainerEvents, validateEvent, detectAnomalies } = require('./services/containerProcessor');
+const { createMemoryStore } = require('./services/eventStore');
+const { resolveRuleConfig } = require('./services/anomalyRules');
+const { getAdapter } = require('./services/adapters');
+const { toContainerCsv, toAnomalyCsv, toHtmlReport } = require('./services/reportFormats');
+const { compareResultSets, hasDifferences } = require('./services/resultDiff');
+const { listOpenHolds } = require('./services/customsHolds');
+const { parseFilters, buildAnalytics } = require('./services/analytics');
+const { readShipments, recordShipments, buildShipmentResult } = require('./services/shipments');
+const { publishResult } = require('./services/resultFeed');
+const { matchesFilters, messagesSince, subscribe, getLastId } = require('./services/liveStream');
+const { signJwt, verifyJwt, authenticate } = require('./services/auth');
+const { getTenantStore, createFileStore } = require('./services/eventStore');
+const { resolveDataPath, readNdjson, readJsonArray, ingestFile } = require('./services/fileIngest');
+const { listContainers, getContainerTimeline, getContainerAnomalies, processBatch } = require('./controllers/containerController');
+const { createSubscription, deleteSubscription, getDeliveries } = require('./services/webhooks');
 
 console.log('Running Container Processor Tests...\n');
 
@@ -45,7 +66,7 @@ function testHappyPath() {
   assert(Array.isArray(result), 'Result should be an array');
   assert(result.length === 1, 'Should process 1 container');
   assert(result[0].container_id === 'CONT001', 'Container ID should match');
-  assert(result[0].current_status === 'departed', 'Current status should be departed');
+  assert(result[0].current_status === 'Departed Port', 'Current status should be Departed Port');
   assert(result[0].timeline.length === 3, 'Should have 3 events in timeline');
   assert(result[0].delay_minutes === undefined || typeof result[0].timeline[0].delay_minutes === 'number', 'Should have delay_minutes in timeline');
 
@@ -99,6 +120,12 @@ function testValidationFailures() {
   assert(Array.isArray(result.validation_errors), 'Should have validation_errors array');
   assert(result.validation_errors.length > 0, 'Should have validation errors');
 
+  const timestampError = result.validation_errors.find(e => e.index === 2);
+  assert(timestampError, 'Errors should carry the event index');
+  assert(timestampError.field === 'timestamp', 'Errors should carry the offending field');
+  assert(timestampError.code === 'invalid_timestamp', 'Errors should carry a machine-readable code');
+  assert(typeof timestampError.message === 'string', 'Errors should carry a message');
+
   console.log(`✅ Test 2 passed: Validation correctly caught ${result.validation_errors.length} errors\n`);
 }
 
@@ -137,12 +164,11 @@ function testAnomalyDetection() {
     },
     {
       container_id: "CONT005",
-      event_type: "port_arrival",
-      timestamp: "2024-11-17T10:30:00Z", // Duplicate event within 1 hour
-      location: "Port of Rotterdam",
+      event_type: "port_departure",
+      timestamp: "2024-11-17T10:30:00Z", // Same event type again within 1 hour
+      location: "Port of Singapore",
       metadata: {
-        port_code: "NL",
-        expected_arrival: "2024-11-17T10:00:00Z"
+        port_code: "SG"
       }
     }
   ];
@@ -301,18 +327,1041 @@ function testProblemStatementExample() {
   console.log(`   Progress: ${result[0].journey_progress}%\n`);
 }
 
+// Test 6: Incremental ingestion through an event store
+function testIncrementalIngestion() {
+  console.log('Test 6: Incremental Ingestion');
+
+  const store = createMemoryStore();
+
+  const first = processContainerEvents([
+    {
+      container_id: "CONT008",
+      event_type: "port_arrival",
+      timestamp: "2024-11-15T08:30:00Z",
+      location: "Port of Singapore",
+      metadata: { port_code: "SG" }
+    }
+  ], { store });
+
+  const second = processContainerEvents([
+    {
+      container_id: "CONT008",
+      event_type: "customs_clearance",
+      timestamp: "2024-11-15T12:00:00Z",
+      location: "Customs, Port of Singapore",
+      metadata: { clearance_status: "approved" }
+    }
+  ], { store });
+
+  assert(!first.error && !second.error, 'Should not have validation errors');
+  assert(second[0].total_events === 2, 'Should recompute over the full stored history');
+  assert(second[0].timeline[0].event_type === 'port_arrival', 'Timeline should include earlier events');
+  assert(second[0].current_status === 'Cleared Customs', 'Status should reflect the latest event');
+  assert(store.getEvents('CONT008').length === 2, 'Store should hold both events');
+
+  console.log('✅ Test 6 passed: Events ingested incrementally\n');
+}
+
+// Test 7: Partial acceptance mode
+function testPartialAcceptance() {
+  console.log('Test 7: Partial Acceptance Mode');
+
+  const events = [
+    {
+      container_id: "CONT009",
+      event_type: "port_arrival",
+      timestamp: "2024-11-15T08:30:00Z",
+      location: "Port of Singapore",
+      metadata: { port_code: "SG" }
+    },
+    {
+      container_id: "CONT009",
+      event_type: "port_departure",
+      timestamp: "not-a-timestamp",
+      location: "Port of Singapore",
+      metadata: { port_code: "SG" }
+    }
+  ];
+
+  const result = processContainerEvents(events, { mode: 'partial' });
+
+  assert(!result.error, 'Should not fail the whole batch');
+  assert(result.results.length === 1, 'Should process the valid event');
+  assert(result.results[0].total_events === 1, 'Should only include accepted events');
+  assert(result.rejected.length === 1, 'Should reject the invalid event');
+  assert(result.rejected[0].index === 1, 'Rejected entry should carry its index');
+  assert(result.rejected[0].event === events[1], 'Rejected entry should carry the original payload');
+  assert(result.rejected[0].errors[0].code === 'invalid_timestamp', 'Rejected entry should carry error codes');
+
+  console.log('✅ Test 7 passed: Valid events processed, invalid events rejected\n');
+}
+
+// Test 8: Configurable anomaly thresholds
+function testConfigurableAnomalyRules() {
+  console.log('Test 8: Configurable Anomaly Rules');
+
+  const events = [
+    {
+      container_id: "CONT010",
+      event_type: "port_departure",
+      timestamp: "2024-11-15T08:00:00Z",
+      location: "Port of Singapore",
+      metadata: { port_code: "SG" }
+    },
+    {
+      container_id: "CONT010",
+      event_type: "in_transit",
+      timestamp: "2024-11-15T14:00:00Z",
+      location: "Strait of Malacca",
+      metadata: { voyage_status: "at_sea" }
+    }
+  ];
+
+  const defaults = processContainerEvents(events);
+  assert(!defaults[0].anomalies.some(a => a.type === 'unusual_gap'), 'A 6 hour gap is normal by default');
+
+  const rules = resolveRuleConfig({ config: { rules: {}, profiles: {} }, overrides: { unusual_gap: { threshold_hours: 4, severity: 'high' } } });
+  const strict = processContainerEvents(events, { rules });
+  const gap = strict[0].anomalies.find(a => a.type === 'unusual_gap');
+  assert(gap, 'A 6 hour gap should be flagged with a 4 hour threshold');
+  assert(gap.severity === 'high', 'Anomaly should carry the configured severity');
+
+  const disabled = resolveRuleConfig({ config: { rules: { unusual_gap: { enabled: false } }, profiles: {} }, overrides: { unusual_gap: { threshold_hours: 4 } } });
+  assert(!processContainerEvents(events, { rules: disabled })[0].anomalies.some(a => a.type === 'unusual_gap'), 'Disabled rules should not fire');
+
+  console.log('✅ Test 8 passed: Anomaly thresholds are configurable\n');
+}
+
+// Test 9: LCL lifecycle
+function testLclLifecycle() {
+  console.log('Test 9: LCL Lifecycle');
+
+  const events = [
+    { event_type: "lcl_pickup", timestamp: "2024-11-10T08:00:00Z", location: "Shipper Warehouse, Chennai" },
+    { event_type: "lcl_consolidation", timestamp: "2024-11-10T18:00:00Z", location: "CFS Chennai" },
+    { event_type: "port_departure", timestamp: "2024-11-11T06:00:00Z", location: "Port of Chennai", metadata: { port_code: "INMAA" } },
+    { event_type: "port_arrival", timestamp: "2024-11-11T20:00:00Z", location: "Port of Singapore", metadata: { port_code: "SGSIN" } },
+    { event_type: "lcl_deconsolidation", timestamp: "2024-11-12T10:00:00Z", location: "CFS Singapore" },
+    { event_type: "lcl_delivery", timestamp: "2024-11-12T20:00:00Z", location: "Consignee Warehouse, Singapore" }
+  ].map(e => ({ ...e, container_id: "CONT011", shipment_type: "LCL" }));
+
+  const result = processContainerEvents(events);
+
+  assert(!result.error, 'Should not have validation errors');
+  assert(!result[0].anomalies.some(a => a.type === 'out_of_sequence'), 'LCL journey should follow the LCL lifecycle');
+  assert(result[0].lifecycle.mode === 'lcl', 'Should select the LCL lifecycle');
+  assert(result[0].lifecycle.state === 'lcl_delivery', 'State should be the latest event');
+  assert(result[0].lifecycle.allowed_next.length === 0, 'Delivery should be terminal');
+  assert(result[0].current_status === 'Delivered', 'Status should be Delivered');
+
+  console.log('✅ Test 9 passed: LCL journey follows its lifecycle\n');
+}
+
+// Test 10: Journey progress against a planned route
+function testRouteJourneyProgress() {
+  console.log('Test 10: Route-based Journey Progress');
+
+  const route = {
+    origin: { port_code: "INNSA", expected_departure: "2024-11-02T00:00:00Z" },
+    transshipment_ports: [
+      { port_code: "SGSIN", expected_arrival: "2024-11-08T00:00:00Z", expected_departure: "2024-11-09T00:00:00Z" }
+    ],
+    destination: { port_code: "NLRTM", expected_arrival: "2024-11-30T00:00:00Z" }
+  };
+
+  const events = [
+    { event_type: "port_arrival", timestamp: "2024-11-01T00:00:00Z", location: "Nhava Sheva", metadata: { port_code: "INNSA" } },
+    { event_type: "port_departure", timestamp: "2024-11-02T00:00:00Z", location: "Nhava Sheva", metadata: { port_code: "INNSA" } },
+    { event_type: "transshipment_arrival", timestamp: "2024-11-08T00:00:00Z", location: "Port of Singapore", metadata: { port_code: "SGSIN" } }
+  ].map(e => ({ ...e, container_id: "CONT012" }));
+
+  const result = processContainerEvents(events, { routes: { CONT012: route } });
+
+  assert(!result.error, 'Should not have validation errors');
+  assert(result[0].journey_progress === 50, 'Two of four route milestones are complete');
+  assert(result[0].journey.total_legs === 2, 'Route has two legs');
+  assert(result[0].journey.completed_legs === 1, 'First leg is complete');
+  assert(result[0].journey.next_milestone.name === 'departure_SGSIN', 'Next milestone is the hub departure');
+  assert(result[0].journey.next_milestone.expected_time === '2024-11-09T00:00:00Z', 'Next milestone carries its expected time');
+
+  const cleared = processContainerEvents([
+    { container_id: "CONT013", event_type: "port_arrival", timestamp: "2024-11-01T00:00:00Z", location: "Nhava Sheva", metadata: { port_code: "INNSA" } },
+    { container_id: "CONT013", event_type: "port_departure", timestamp: "2024-11-02T00:00:00Z", location: "Nhava Sheva", metadata: { port_code: "INNSA" } },
+    { container_id: "CONT013", event_type: "port_arrival", timestamp: "2024-11-20T00:00:00Z", location: "Port of Rotterdam", metadata: { port_code: "NLRTM" } }
+  ]);
+  assert(cleared[0].journey_progress === 100, 'Without a route, reaching the final milestone is 100%');
+
+  console.log('✅ Test 10 passed: Journey progress follows the planned route\n');
+}
+
+// Test 11: ETA prediction from historical transit times
+function testEtaPrediction() {
+  console.log('Test 11: ETA Prediction');
+
+  const leg = (id, departure, arrival) => [
+    { container_id: id, event_type: "port_departure", timestamp: departure, location: "Nhava Sheva", metadata: { port_code: "INNSA" } },
+    { container_id: id, event_type: "port_arrival", timestamp: arrival, location: "Port of Rotterdam", metadata: { port_code: "NLRTM" } }
+  ];
+
+  const events = [
+    ...leg("CONT014", "2024-10-01T00:00:00Z", "2024-10-21T00:00:00Z"),
+    ...leg("CONT015", "2024-10-05T00:00:00Z", "2024-10-27T00:00:00Z"),
+    ...leg("CONT046", "2024-10-07T00:00:00Z", "2024-10-28T00:00:00Z"),
+    { container_id: "CONT016", event_type: "port_departure", timestamp: "2024-11-01T00:00:00Z", location: "Nhava Sheva", metadata: { port_code: "INNSA" } },
+    // No route: predicted over the learned INNSA>NLRTM lane
+    { container_id: "CONT047", event_type: "port_departure", timestamp: "2024-11-02T00:00:00Z", location: "Nhava Sheva", metadata: { port_code: "INNSA" } }
+  ];
+
+  const routes = {
+    CONT016: {
+      origin: { port_code: "INNSA", expected_departure: "2024-11-01T00:00:00Z" },
+      destination: { port_code: "NLRTM", expected_arrival: "2024-11-15T00:00:00Z" }
+    }
+  };
+
+  const result = processContainerEvents(events, { routes });
+  const prediction = result.find(r => r.container_id === 'CONT016').predicted_arrival;
+
+  assert(prediction, 'Should predict arrival for a container with a route');
+  assert(prediction.time === '2024-11-22T00:00:00.000Z', 'Should use the average historical transit time');
+  assert(prediction.confidence.earliest < prediction.time && prediction.time < prediction.confidence.latest, 'Should carry a confidence range');
+  assert(result.find(r => r.container_id === 'CONT016').anomalies.some(a => a.type === 'eta_drift'), 'Should flag drift past the planned ETA');
+  assert(result.find(r => r.container_id === 'CONT014').predicted_arrival === null, 'Arrived containers have no prediction');
+
+  const withoutRoute = result.find(r => r.container_id === 'CONT047').predicted_arrival;
+  assert(withoutRoute && withoutRoute.port_code === 'NLRTM', 'Should fall back to the learned lane from the last port without a route');
+  assert(withoutRoute.time === '2024-11-23T00:00:00.000Z' && withoutRoute.planned_arrival === null, 'Should predict from the last departure');
+
+  const fewSamples = processContainerEvents([...leg("CONT014", "2024-10-01T00:00:00Z", "2024-10-21T00:00:00Z"), events[6]], {
+    routes: { CONT016: routes.CONT016 }
+  }).find(r => r.container_id === 'CONT016').predicted_arrival;
+  assert(fewSamples.time === '2024-11-21T00:00:00.000Z', 'Should predict from a single sample');
+  assert(fewSamples.confidence === null, 'Should not report a range from fewer than 3 samples');
+
+  console.log('✅ Test 11 passed: Arrival predicted from history\n');
+}
+
+// Test 12: Carrier formats mapped through input adapters
+function testInputAdapters() {
+  console.log('Test 12: Input Adapters');
+
+  const csv = [
+    'container_id,status_code,timestamp,location,port_code',
+    'CONT017,ARRIVED,2024-11-15T08:30:00Z,"Port of Singapore, SG",SGSIN',
+    'CONT017,ZZZ,2024-11-15T09:30:00Z,Port of Singapore,SGSIN'
+  ].join('\n');
+  const parsed = getAdapter('csv').parse(csv);
+
+  assert(parsed.events.length === 1, 'Should map known status codes to events');
+  assert(parsed.events[0].event_type === 'port_arrival', 'Should map ARRIVED to port_arrival');
+  assert(parsed.events[0].location === 'Port of Singapore, SG', 'Should handle quoted CSV fields');
+  assert(parsed.errors.length === 1 && parsed.errors[0].code === 'unmapped_status_code', 'Should report unmapped status codes');
+  assert(parsed.errors[0].status_code === 'ZZZ', 'Should name the unmapped code');
+
+  const x12 = 'ST*315*0001~B4***VA*20241115*0830**CONT*017000*L*22G1*SGSIN*UN*5~SE*3*0001~';
+  const result = processContainerEvents(getAdapter('x12-315').parse(x12).events);
+  assert(result[0].container_id === 'CONT0170005', 'Should build the container ID from B4');
+  assert(result[0].current_status === 'At Port', 'Should process adapted events like any other');
+
+  console.log('✅ Test 12 passed: Carrier formats are mapped to events\n');
+}
+
+// Test 13: Output formats for reports
+function testReportFormats() {
+  console.log('Test 13: Report Formats');
+
+  const events = [
+    { container_id: "CONT018", event_type: "port_arrival", timestamp: "2024-11-15T08:30:00Z", location: "Port of \"Antwerp\", BE", metadata: { port_code: "BEANR", expected_arrival: "2024-11-15T02:00:00Z" } },
+    { container_id: "CONT019", event_type: "port_arrival", timestamp: "2024-11-15T08:30:00Z", location: "<b>Hamburg</b>", metadata: { port_code: "DEHAM" } }
+  ];
+  const result = processContainerEvents(events, { asOf: "2024-11-16T00:00:00Z" });
+
+  const containerRows = toContainerCsv(result).trim().split('\r\n');
+  assert(containerRows.length === 3, 'Container CSV should have a header and one row per container');
+  assert(containerRows[1].includes('"Port of ""Antwerp"", BE"'), 'Container CSV should quote fields');
+
+  const anomalyRows = toAnomalyCsv(result).trim().split('\r\n');
+  assert(anomalyRows.length === 2 && anomalyRows[1].startsWith('CONT018,late_arrival,'), 'Anomaly CSV should have one row per anomaly');
+
+  const html = toHtmlReport(result);
+  assert(html.includes('id="container-CONT019"') && html.includes('&lt;b&gt;Hamburg&lt;/b&gt;'), 'HTML report should escape data');
+  assert(html.includes('class="flagged"'), 'HTML report should highlight events with anomalies');
+
+  console.log('✅ Test 13 passed: Results rendered as CSV and HTML\n');
+}
+
+// Test 14: Comparing two processing runs
+function testResultDiff() {
+  console.log('Test 14: Result Diff');
+
+  const arrival = { container_id: "CONT020", event_type: "port_arrival", timestamp: "2024-11-15T08:30:00Z", location: "Port of Valencia", metadata: { port_code: "ESVLC" } };
+  const departure = { container_id: "CONT020", event_type: "port_departure", timestamp: "2024-11-17T08:30:00Z", location: "Port of Valencia", metadata: { port_code: "ESVLC" } };
+  const other = { container_id: "CONT021", event_type: "port_arrival", timestamp: "2024-11-15T08:30:00Z", location: "Port of Genoa", metadata: { port_code: "ITGOA" } };
+
+  const before = processContainerEvents([arrival, other]);
+  const after = processContainerEvents([arrival, departure]);
+  const diff = compareResultSets(before, after);
+
+  assert(diff.removed.length === 1 && diff.removed[0] === 'CONT021', 'Should list removed containers');
+  assert(diff.added.length === 0 && diff.unchanged === 0, 'Should not report added containers');
+  assert(diff.changed[0].status_change.to === 'Departed Port', 'Should report status changes');
+  assert(diff.changed[0].new_anomalies.some(a => a.type === 'unusual_gap'), 'Should report new anomalies');
+  assert(compareResultSets(after, after).changed.length === 0, 'Identical runs should not differ');
+
+  // A gained event that changes neither status, location, progress nor anomalies
+  const [arrived] = processContainerEvents([arrival]);
+  const gained = { ...arrived, total_events: 2, last_event_time: "2024-11-15T09:30:00Z" };
+  const eventsDiff = compareResultSets([arrived], [gained]);
+  assert(eventsDiff.changed.length === 1 && hasDifferences(eventsDiff), 'Gained events should count as a difference');
+  assert(eventsDiff.changed[0].events_change.to.total_events === 2 && eventsDiff.changed[0].events_change.to.last_event_time === gained.last_event_time,
+    'Should report the event count and last event time');
+
+  console.log('✅ Test 14 passed: Processing runs compared\n');
+}
+
+// Test 15: Re-sent events are ingested once
+function testIdempotentIngestion() {
+  console.log('Test 15: Idempotent Ingestion');
+
+  const store = createMemoryStore();
+  const batch = [
+    { container_id: "CONT022", event_id: "evt-1", event_type: "port_arrival", timestamp: "2024-11-15T08:30:00Z", location: "Port of Busan", metadata: { port_code: "KRPUS" } },
+    { container_id: "CONT022", event_type: "customs_clearance", timestamp: "2024-11-15T10:00:00Z", location: "Port of Busan", metadata: { clearance_status: "approved" } }
+  ];
+
+  processContainerEvents(batch, { store });
+  const retried = processContainerEvents(JSON.parse(JSON.stringify(batch)), { store });
+  assert(!retried.error, 'Retries should not fail validation');
+  assert(retried[0].total_events === 2, 'Retries should not double the timeline');
+  assert(!retried[0].anomalies.some(a => a.type === 'duplicate_event'), 'Retries should not be duplicate_event anomalies');
+
+  // The port stay is still open, so a later retry measures it up to a later time
+  const later = processContainerEvents(JSON.parse(JSON.stringify(batch)), { store, asOf: new Date(Date.now() + 2 * 86400000) });
+  assert(later[0].dwell[0].hours >= retried[0].dwell[0].hours + 48 && store.getResult('CONT022').dwell[0].hours === later[0].dwell[0].hours,
+    'A retry should still update how long the stay has been open');
+  assert(store.getResultHistory('CONT022').length === 1, 'A retry should not record a new result version');
+
+  const conflicting = [
+    { ...batch[0], timestamp: "2024-11-15T09:30:00Z" },
+    { ...batch[1], metadata: { clearance_status: "rejected" } }
+  ];
+  const strict = processContainerEvents(conflicting, { store });
+  assert(strict.error === 'Validation failed', 'Conflicting duplicates should fail strict mode');
+  assert(strict.validation_errors.every(e => e.code === 'conflicting_duplicate'), 'Should report conflicting duplicates');
+  assert(strict.validation_errors[0].field === 'event_id', 'Should name event_id for ID conflicts');
+
+  const partial = processContainerEvents(conflicting, { store, mode: 'partial' });
+  assert(partial.rejected.length === 2 && partial.rejected[0].conflicts_with.timestamp === batch[0].timestamp, 'Should point at the stored event');
+  assert(store.getEvents('CONT022').length === 2, 'Conflicts should not be stored');
+
+  // The shipment fields flattened onto events are not part of the event
+  const { events: fromShipment } = readShipments([{ container_id: "CONT022", shipment_type: "LCL", service_type: "CFS", events: [batch[1]] }]);
+  const resent = processContainerEvents(fromShipment, { store });
+  assert(!resent.error && store.getEvents('CONT022').length === 2, 'An event re-sent within a shipment should still be a retry');
+
+  console.log('✅ Test 15 passed: Retries collapsed, conflicts reported\n');
+}
+
+// Test 16: Corrections, cancellations and result versions
+function testCorrections() {
+  console.log('Test 16: Corrections and Result Versions');
+
+  const store = createMemoryStore();
+  processContainerEvents([
+    { container_id: "CONT023", event_id: "arr-1", event_type: "port_arrival", timestamp: "2024-11-15T08:30:00Z", location: "Port of Piraeus", metadata: { port_code: "GRPIR" } },
+    { container_id: "CONT023", event_id: "hold-1", event_type: "customs_hold", timestamp: "2024-11-15T12:00:00Z", location: "Port of Piraeus", metadata: { hold_reason: "inspection" } }
+  ], { store });
+
+  const result = processContainerEvents([
+    { container_id: "CONT023", action: "correction", references: "arr-1", event_type: "port_arrival", timestamp: "2024-11-15T06:30:00Z", location: "Port of Piraeus", metadata: { port_code: "GRPIR" } },
+    { container_id: "CONT023", action: "cancellation", references: "hold-1", timestamp: "2024-11-16T00:00:00Z" }
+  ], { store });
+
+  assert(!result.error, 'Amendments of stored events should be accepted');
+  assert(result[0].total_events === 1 && result[0].current_status === 'At Port', 'Cancelled events should leave the timeline');
+  assert(result[0].timeline[0].timestamp === '2024-11-15T06:30:00Z' && result[0].timeline[0].corrected, 'Corrections should replace the event');
+
+  const history = store.getResultHistory('CONT023');
+  assert(history.length === 2, 'Each change should record a result version');
+  assert(history[1].cause.corrections[0] === 'arr-1' && history[1].cause.cancellations[0] === 'hold-1', 'Versions should record what caused them');
+  assert(history[1].changes.status_change.from === 'Held at Customs', 'Versions should record what changed');
+
+  const unknown = processContainerEvents([{ container_id: "CONT023", action: "cancellation", references: "missing", timestamp: "2024-11-16T00:00:00Z" }], { store });
+  assert(unknown.validation_errors[0].code === 'unknown_reference', 'Amendments of unknown events should be rejected');
+
+  const cancelled = processContainerEvents([{ container_id: "CONT023", action: "cancellation", references: "arr-1", timestamp: "2024-11-16T01:00:00Z" }], { store });
+  assert(cancelled[0].current_status === 'Cancelled' && cancelled[0].timeline.length === 0, 'Cancelling every event should cancel the container');
+
+  console.log('✅ Test 16 passed: Amendments recomputed and versioned\n');
+}
+
+function testTimezones() {
+  console.log('Test 17: UTC Offsets and Local Port Time');
+
+  const store = createMemoryStore();
+  const result = processContainerEvents([
+    { container_id: "CONT024", event_type: "port_arrival", timestamp: "2024-11-15T16:30:00+08:00", location: "Port of Singapore", metadata: { port_code: "SGSIN" } },
+    { container_id: "CONT024", event_type: "port_departure", timestamp: "2024-11-16T02:00:00-05:00", location: "Unlisted Port", metadata: { port_code: "XXXXX" } }
+  ], { store });
+
+  assert(!result.error, 'Timestamps with UTC offsets should be accepted');
+  const [arrival, departure] = result[0].timeline;
+  assert(arrival.timestamp === '2024-11-15T08:30:00Z', 'Timestamps should be normalized to UTC');
+  assert(store.getEvents('CONT024')[0].timestamp_offset === '+08:00', 'The original offset should be kept on the event');
+  assert(arrival.local_time === '2024-11-15T16:30:00+08:00' && arrival.timezone === 'Asia/Singapore', 'Timeline should show local port time');
+  assert(departure.local_time === '2024-11-16T02:00:00-05:00' && !departure.timezone, 'Unmapped ports should show the original offset');
+
+  const resent = processContainerEvents([
+    { container_id: "CONT024", event_type: "port_arrival", timestamp: "2024-11-15T08:30:00Z", location: "Port of Singapore", metadata: { port_code: "SGSIN" } }
+  ], { store });
+  assert(!resent.error && resent[0].total_events === 2, 'The same instant in another offset should be a duplicate');
+
+  const invalid = processContainerEvents([{ container_id: "CONT024", event_type: "port_arrival", timestamp: "2024-11-15T16:30:00", location: "Port of Singapore", metadata: { port_code: "SGSIN" } }], { store });
+  assert(invalid.validation_errors[0].code === 'invalid_timestamp', 'Timestamps without an offset should be rejected');
+
+  console.log('✅ Test 17 passed: Offsets normalized and local time shown\n');
+}
+
+function testLocationRegistry() {
+  console.log('Test 18: Location Registry');
+
+  const store = createMemoryStore();
+  const result = processContainerEvents([
+    { container_id: "CONT025", event_type: "port_departure", timestamp: "2024-11-10T08:00:00Z", location: "Rotterdam", metadata: { port_code: "NL RTM" } },
+    { container_id: "CONT025", event_type: "port_arrival", timestamp: "2024-11-28T08:00:00Z", location: "singapore", metadata: { port_code: "SGSIN" } },
+    { container_id: "CONT025", event_type: "port_departure", timestamp: "2024-11-29T08:00:00Z", location: "Unlisted Port", metadata: { port_code: "ZZZZZ" } }
+  ], { store });
+
+  assert(!result.error, 'Events should be accepted');
+  const [departure, arrival, unknown] = result[0].timeline;
+  assert(arrival.location === 'Port of Singapore' && arrival.location_code === 'SGSIN', 'Known locations should be normalized');
+  assert(store.getEvents('CONT025')[1].reported_location === 'singapore', 'The location sent should be kept');
+  assert(departure.location_code === 'NLRTM' && unknown.location_code === null, 'Timeline should carry location codes');
+  assert(result[0].current_location === 'Unlisted Port' && result[0].current_location_details === null, 'Unknown places have no details');
+
+  const unknownCodes = result[0].anomalies.filter(a => a.type === 'unknown_port_code');
+  assert(unknownCodes.length === 1 && unknownCodes[0].message.includes('ZZZZZ'), 'Unknown port codes should be flagged');
+
+  const resent = processContainerEvents([
+    { container_id: "CONT025", event_type: "port_arrival", timestamp: "2024-11-28T08:00:00Z", location: "SGSIN", metadata: { port_code: "SGSIN" } },
+    { container_id: "CONT025", event_type: "port_arrival", timestamp: "2024-11-30T08:00:00Z", location: "Port of Singapore", metadata: { port_code: "SGSIN" } }
+  ], { store });
+  assert(resent[0].total_events === 4, 'Another name for the same place should be a duplicate');
+  assert(resent[0].current_location_details.code === 'SGSIN' && resent[0].current_location_details.coordinates.lat === 1.264, 'Current location should carry code and coordinates');
+
+  console.log('✅ Test 18 passed: Locations normalized against the registry\n');
+}
+
+function testImpossibleMovement() {
+  console.log('Test 19: Impossible Movement');
+
+  const result = processContainerEvents([
+    { container_id: "CONT026", event_type: "port_departure", timestamp: "2024-11-10T08:00:00Z", location: "Port of Rotterdam", metadata: { port_code: "NLRTM" } },
+    { container_id: "CONT026", event_type: "port_arrival", timestamp: "2024-11-10T14:00:00Z", location: "Port of Singapore", metadata: { port_code: "SGSIN" } },
+    { container_id: "CONT027", event_type: "port_departure", timestamp: "2024-11-10T08:00:00Z", location: "Port of Singapore", metadata: { port_code: "SGSIN" } },
+    { container_id: "CONT027", event_type: "in_transit", timestamp: "2024-11-14T08:00:00Z", location: "Indian Ocean", metadata: { voyage_status: "at_sea", current_position: "6.0°N 80.0°E", next_port_code: "INBOM" } },
+    { container_id: "CONT027", event_type: "port_arrival", timestamp: "2024-11-17T08:00:00Z", location: "Port of Chennai", metadata: { port_code: "INMAA" } }
+  ]);
+
+  const [teleported, diverted] = result;
+  const speed = teleported.anomalies.find(a => a.type === 'impossible_movement');
+  assert(speed && speed.severity === 'high' && speed.message.includes('km/h'), 'Should flag movement faster than a vessel can go');
+
+  const arrival = diverted.anomalies.filter(a => a.type === 'impossible_movement');
+  assert(arrival.length === 1 && arrival[0].message.includes('headed to INBOM'), 'Should flag arrival away from the in_transit destination');
+
+  const onTime = processContainerEvents([
+    { container_id: "CONT028", event_type: "in_transit", timestamp: "2024-11-14T08:00:00Z", location: "Arabian Sea", metadata: { voyage_status: "at_sea", next_port_code: "INMUN1" } },
+    { container_id: "CONT028", event_type: "port_arrival", timestamp: "2024-11-18T08:00:00Z", location: "Port of Mumbai", metadata: { port_code: "INBOM" } }
+  ]);
+  assert(!onTime[0].anomalies.some(a => a.type === 'impossible_movement'), 'Aliases of the destination should match');
+
+  // About 78 km in an hour: a normal truck leg, but too fast for a vessel
+  const [trucked, sailed] = processContainerEvents([
+    { container_id: "CONT055", event_type: "port_arrival", timestamp: "2024-11-10T08:00:00Z", location: "Port of Rotterdam", metadata: { port_code: "NLRTM" } },
+    { container_id: "CONT055", event_type: "road_checkpoint", timestamp: "2024-11-10T09:00:00Z", location: "Port of Antwerp", metadata: { checkpoint_type: "border" } },
+    { container_id: "CONT056", event_type: "port_departure", timestamp: "2024-11-10T08:00:00Z", location: "Port of Rotterdam", metadata: { port_code: "NLRTM" } },
+    { container_id: "CONT056", event_type: "port_arrival", timestamp: "2024-11-10T09:00:00Z", location: "Port of Antwerp", metadata: { port_code: "BEANR" } }
+  ]);
+  assert(trucked.total_events === 2 && !trucked.anomalies.some(a => a.type === 'impossible_movement'), 'Should allow road speeds on land legs');
+  assert(sailed.anomalies.some(a => a.type === 'impossible_movement' && a.message.includes('max 60 km/h')), 'Should hold sea legs to vessel speeds');
+
+  console.log('✅ Test 19 passed: Impossible movement flagged\n');
+}
+
+function testDwellAndDemurrage() {
+  console.log('Test 20: Dwell Time and Demurrage Risk');
+
+  const events = [
+    { container_id: "CONT029", event_type: "port_arrival", timestamp: "2024-11-01T08:00:00Z", location: "Port of Singapore", metadata: { port_code: "SGSIN" } },
+    { container_id: "CONT029", event_type: "customs_hold", timestamp: "2024-11-02T08:00:00Z", location: "Singapore Customs", metadata: { hold_reason: "inspection" } },
+    { container_id: "CONT029", event_type: "customs_clearance", timestamp: "2024-11-03T20:00:00Z", location: "Singapore Customs", metadata: { clearance_status: "cleared" } },
+    { container_id: "CONT029", event_type: "port_departure", timestamp: "2024-11-07T20:00:00Z", location: "Port of Singapore", metadata: { port_code: "SGSIN" } },
+    { container_id: "CONT029", event_type: "port_arrival", timestamp: "2024-11-20T08:00:00Z", location: "Port of Rotterdam", metadata: { port_code: "NLRTM" } }
+  ];
+  const rules = resolveRuleConfig({ overrides: { demurrage_risk: { free_time_days: 5, free_time_days_by_port: { SGSIN: 4 } } } });
+  const result = processContainerEvents(events, { rules, asOf: "2024-11-20T08:00:00Z" });
+
+  const [port, customs, open] = result[0].dwell;
+  assert(port.kind === 'port' && port.hours === 156 && port.location_code === 'SGSIN', 'Port dwell should run from arrival to departure');
+  assert(customs.kind === 'customs' && customs.hours === 36, 'Customs dwell should run from hold to clearance');
+  assert(open.ended_at === null && open.hours === 0 && open.free_time_ends_at === '2024-11-25T08:00:00Z', 'Open stays should show when free time ends');
+  assert(port.free_time_days === 4 && port.accrued_days === 3, 'Free time should be per port, with demurrage charged per started day');
+
+  const risks = result[0].anomalies.filter(a => a.type === 'demurrage_risk');
+  assert(risks.length === 1 && risks[0].message.includes('3 day(s)'), 'Stays past free time should raise demurrage_risk');
+
+  // No events since the arrival at Rotterdam: the open stay keeps growing up to asOf
+  const quiet = processContainerEvents(events, { rules, asOf: "2024-12-01T20:00:00Z" })[0];
+  const stillOpen = quiet.dwell[2];
+  assert(stillOpen.hours === 276 && stillOpen.accrued_days === 7, 'Open stays should be measured up to asOf');
+  const openRisk = quiet.anomalies.filter(a => a.type === 'demurrage_risk').find(a => a.message.startsWith('Still at Port of Rotterdam'));
+  assert(openRisk && openRisk.message.includes('free time ended 2024-11-25T08:00:00Z'), 'An open stay past free time should raise demurrage_risk');
+  const later = processContainerEvents(events, { rules, asOf: "2024-12-05T20:00:00Z" })[0];
+  assert(later.anomalies.some(a => a.message === openRisk.message), 'The open stay anomaly should not change as it grows');
+  assert(processContainerEvents(events, { rules })[0].anomalies.some(a => a.message === openRisk.message), 'Open stays should be measured up to now by default');
+
+  const trucked = processContainerEvents([
+    { container_id: "CONT031", event_type: "port_arrival", timestamp: "2024-11-01T08:00:00Z", location: "Port of Mumbai", metadata: { port_code: "INBOM" } },
+    { container_id: "CONT031", event_type: "lcl_deconsolidation", timestamp: "2024-11-02T08:00:00Z", location: "Mumbai CFS" },
+    { container_id: "CONT031", event_type: "lcl_delivery", timestamp: "2024-11-12T08:00:00Z", location: "Mumbai CFS" }
+  ], { rules });
+  assert(trucked[0].dwell[0].ended_at === '2024-11-02T08:00:00Z', 'Moving on without a departure should end the port stay');
+
+  console.log('✅ Test 20 passed: Dwell measured, demurrage flagged\n');
+}
+
+function testCustomsHoldCases() {
+  console.log('Test 21: Customs Hold Cases');
+
+  const result = processContainerEvents([
+    { container_id: "CONT030", event_type: "customs_hold", timestamp: "2024-11-15T10:00:00Z", location: "Customs Port of Mumbai", metadata: { hold_reason: "documentation" } },
+    { container_id: "CONT030", event_type: "customs_clearance", timestamp: "2024-11-16T10:00:00Z", location: "Customs Port of Mumbai", metadata: { clearance_status: "cleared" } },
+    { container_id: "CONT030", event_type: "customs_hold", timestamp: "2024-11-17T10:00:00Z", location: "Customs Port of Mumbai", metadata: { hold_reason: "inspection" } },
+    { container_id: "CONT030", event_type: "customs_inspection", timestamp: "2024-11-20T10:00:00Z", location: "Customs Port of Mumbai" }
+  ], { asOf: "2024-11-20T10:00:00Z" });
+
+  const [closed, open, inspection] = result[0].customs_holds;
+  assert(closed.status === 'closed' && closed.resolved_by === 'customs_clearance' && closed.duration_hours === 24, 'Clearance should close the hold');
+  assert(open.status === 'open' && open.hold_reason === 'inspection' && open.duration_hours === 72, 'Open holds should be measured up to asOf');
+  assert(inspection.kind === 'customs_inspection' && inspection.status === 'open', 'Inspections should open their own case');
+
+  const alerts = result[0].anomalies.filter(a => a.type === 'prolonged_hold');
+  assert(alerts.length === 1 && alerts[0].message.includes('inspection'), 'Holds open past the threshold should alert');
+
+  // A hold that is the last event keeps growing until something else is heard
+  const quiet = processContainerEvents([
+    { container_id: "CONT031", event_type: "port_arrival", timestamp: "2024-11-15T08:00:00Z", location: "Port of Mumbai", metadata: { port_code: "INBOM" } },
+    { container_id: "CONT031", event_type: "customs_hold", timestamp: "2024-11-15T10:00:00Z", location: "Customs Port of Mumbai", metadata: { hold_reason: "inspection" } }
+  ], { asOf: "2024-11-18T10:00:00Z" });
+  assert(quiet[0].customs_holds[0].duration_hours === 72, 'A hold as the last event should be measured up to asOf');
+  assert(quiet[0].anomalies.some(a => a.type === 'prolonged_hold'), 'A hold as the last event should raise prolonged_hold');
+
+  const worklist = listOpenHolds(result, { now: new Date('2024-11-21T10:00:00Z'), thresholdHours: 48, reason: 'inspection' });
+  assert(worklist.length === 1 && worklist[0].open_for_hours === 96 && worklist[0].overdue, 'Worklist should list open holds up to now');
+
+  console.log('✅ Test 21 passed: Holds tracked as cases\n');
+}
+
+function testAnalytics() {
+  console.log('Test 22: Fleet Analytics');
+
+  const arrival = (id, day, location, port_code, delayHours) => ({
+    container_id: id, event_type: "port_arrival", timestamp: `2024-11-${day}T12:00:00Z`, location,
+    metadata: { port_code, expected_arrival: new Date(Date.parse(`2024-11-${day}T12:00:00Z`) - delayHours * 3600000).toISOString() }
+  });
+  const results = processContainerEvents([
+    arrival("CONT032", "10", "Port of Singapore", "SGSIN", 1),
+    arrival("CONT033", "11", "Singapore", "SGSIN", 5),
+    arrival("CONT034", "12", "Port of Rotterdam", "NLRTM", 0),
+    arrival("CONT035", "20", "Port of Singapore", "SGSIN", 10)
+  ]);
+
+  const all = buildAnalytics(results);
+  assert(all.containers === 4 && all.events === 4, 'Should count every container and event');
+  assert(all.arrival_delays[0].location_code === 'SGSIN' && all.arrival_delays[0].avg_delay_minutes === 320, 'Should average delay per port, worst first');
+  assert(all.arrival_delays[0].p95_delay_minutes === 600, 'Should report p95 delay per port');
+  assert(all.anomalies.by_type.late_arrival === 2 && all.anomalies.by_location[0].location === 'Port of Singapore', 'Should count anomalies by type and location');
+  assert(all.status_distribution['At Port'] === 4 && all.events_per_day.length === 4, 'Should report statuses and events per day');
+
+  const filtered = buildAnalytics(results, parseFilters({ port: 'Singapore', to: '2024-11-11' }));
+  assert(filtered.containers === 2 && filtered.arrival_delays[0].arrivals === 2, 'Should filter by port and date');
+  assert.throws(() => parseFilters({ from: '11/01/2024' }), /from must be a date/);
+
+  // Results saved without anomaly timestamps, as in sample data/processing_results.json
+  const saved = [
+    {
+      container_id: "CONT057", current_status: "At Port", current_location: "Port of Mumbai", last_event_time: "2024-11-17T12:00:00Z",
+      anomalies: [{ type: "unusual_gap", message: "Gap of 58 hours from previous event" }, { type: "late_arrival", message: "Arrived 2 hours late" }],
+      timeline: [
+        { event_type: "port_departure", timestamp: "2024-11-10T12:00:00Z", location: "Port of Singapore", location_code: "SGSIN" },
+        { event_type: "port_arrival", timestamp: "2024-11-17T12:00:00Z", location: "Port of Mumbai", location_code: "INBOM" }
+      ]
+    },
+    {
+      container_id: "CONT058", current_status: "Unknown", last_event_time: "2024-11-12T12:00:00Z",
+      anomalies: [{ type: "unusual_gap", message: "Gap of 30 hours from previous event" }],
+      timeline: [{ event_type: "in_transit", timestamp: "2024-11-12T12:00:00Z", location: "Arabian Sea" }]
+    }
+  ];
+  const untimed = buildAnalytics(saved);
+  assert(untimed.anomalies.total === 3 && untimed.anomalies.by_type.unusual_gap === 2, 'Anomalies without timestamps should still be counted');
+  assert(untimed.anomalies.by_location.find(l => l.location_code === 'INBOM').count === 2, 'Should place them at the current location');
+  assert(untimed.anomalies.by_location.find(l => l.location === 'unknown').count === 1, 'Should place them under unknown without a current location');
+  assert(buildAnalytics(saved, parseFilters({ to: '2024-11-15' })).anomalies.total === 1, 'Should filter them by the last event time');
+  assert(buildAnalytics(saved, parseFilters({ port: 'SGSIN' })).anomalies.total === 0, 'Should filter them by the current location');
+
+  const sample = JSON.parse(fs.readFileSync(path.join(__dirname, 'sample data', 'processing_results.json'), 'utf8'));
+  const sampleAnomalies = sample.reduce((sum, r) => sum + r.anomalies.length, 0);
+  assert(buildAnalytics(sample).anomalies.total === sampleAnomalies, 'Should count every anomaly of the sample results');
+
+  console.log('✅ Test 22 passed: Fleet-wide figures reported\n');
+}
+
+function testShipmentRollup() {
+  console.log('Test 23: Shipment Hierarchy');
+
+  const departure = { event_type: "port_departure", timestamp: "2024-11-01T08:00:00Z", location: "Port of Mumbai", metadata: { port_code: "INBOM" } };
+  const arrival = { event_type: "port_arrival", timestamp: "2024-11-20T08:00:00Z", location: "Port of Rotterdam", metadata: { port_code: "NLRTM" } };
+  const read = readShipments([{
+    bl_number: "BL-0001", shipper: "ABC Export", consignee: "XYZ Import",
+    containers: [
+      { container_id: "CONT036", events: [departure, arrival] },
+      { container_id: "CONT037", events: [departure] }
+    ]
+  }]);
+  assert(read.errors.length === 0 && read.events.length === 3 && read.shipments[0].container_ids.length === 2, 'Should read every container of a shipment');
+
+  const store = createMemoryStore();
+  processContainerEvents(read.events, { store });
+  recordShipments(store, read.shipments);
+  recordShipments(store, readShipments([{ bl_number: "BL-0001", container_id: "CONT038", events: [] }]).shipments);
+
+  const rollup = buildShipmentResult(store.getShipment('BL-0001'), store.getResult);
+  assert(rollup.consignee === 'XYZ Import' && rollup.total_containers === 3, 'Later batches should add containers to the shipment');
+  assert(rollup.slowest_container === 'CONT037' && rollup.current_status === 'Departed Port', 'Shipment status should be the slowest container');
+  assert(rollup.anomalies.every(a => a.container_id === 'CONT036'), 'Anomalies should be aggregated with their container');
+
+  const missing = readShipments([{ bl_number: "BL-0002", containers: [{ events: [departure] }] }]);
+  assert(missing.errors[0].code === 'required' && missing.errors[0].container_index === 0, 'Containers without container_id should be rejected');
+
+  // One unreadable container fails a strict batch but is only rejected in partial mode
+  const batch = [
+    { bl_number: "BL-0003", containers: [{ events: [departure] }, { container_id: "CONT039", events: [departure], route: { origin: {} } }] },
+    { container_id: "CONT040", events: [departure] }
+  ];
+  const strict = callController(processBatch, { tenant: 'shipment-batch', body: batch });
+  assert(strict.statusCode === 400 && strict.body.shipment_errors.length === 1, 'A strict batch should fail on an invalid shipment');
+  const partial = callController(processBatch, { tenant: 'shipment-batch', query: { mode: 'partial' }, body: batch });
+  assert(partial.statusCode === 207 && partial.body.containers_processed === 2, 'A partial batch should process the readable containers');
+  assert(partial.body.rejected.map(r => r.record).join() === 'shipment 0 container 0,shipment 0 container 1' &&
+    partial.body.rejected[1].errors[0].field.startsWith('route'), 'A partial batch should reject invalid shipments and routes');
+
+  console.log('✅ Test 23 passed: Containers rolled up to shipments\n');
+}
+
+function testContainerIdValidation() {
+  console.log('Test 24: ISO 6346 Container IDs');
+
+  const event = (container_id) => ({ container_id, event_type: "port_departure", timestamp: "2024-11-01T08:00:00Z", location: "Port of Mumbai", metadata: { port_code: "INBOM" } });
+  const store = createMemoryStore();
+  const stored = processContainerEvents([event("CSQU 305438-3")], { store, containerIds: 'strict' });
+  assert(stored[0].container_id === 'CSQU3054383', 'Valid ids should be stored without spaces and hyphens');
+
+  const strict = processContainerEvents([event("CSQU3O54383")], { store, containerIds: 'strict' });
+  const error = strict.validation_errors[0];
+  assert(error.code === 'invalid_container_id' && error.suggestion === 'CSQU3054383', 'Strict mode should reject invalid ids with a suggestion');
+  assert(validateEvent(event("CSQU3054384"), 0, { containerIds: 'strict' })[0].suggestion === 'CSQU3054383', 'A wrong check digit should be corrected');
+
+  const lenient = processContainerEvents([event("CSQU3054384")], { containerIds: 'lenient' });
+  const anomaly = lenient[0].anomalies.find(a => a.type === 'invalid_container_id');
+  assert(anomaly && anomaly.message.includes("did you mean 'CSQU3054383'"), 'Lenient mode should process the events and flag the id');
+
+  const off = processContainerEvents([event("CONT039")], { containerIds: 'off' });
+  assert(off[0].anomalies.every(a => a.type !== 'invalid_container_id'), 'Ids should not be checked when validation is off');
+
+  console.log('✅ Test 24 passed: Container IDs checked against ISO 6346\n');
+}
+
+function testLiveStream() {
+  console.log('Test 25: Live Stream');
+
+  const received = [];
+  const unsubscribe = subscribe(message => received.push(message));
+  const start = getLastId();
+  const events = [{ container_id: "CONT040", event_type: "port_arrival", timestamp: "2024-11-01T08:00:00Z", location: "Port of Singapore", metadata: { port_code: "SGSIN", expected_arrival: "2024-11-01T02:00:00Z" } }];
+  processContainerEvents(events, { onResult: publishResult, asOf: "2024-11-01T12:00:00Z" });
+  unsubscribe();
+
+  assert(received.map(m => m.type).join() === 'result,anomaly', 'Each result and each new anomaly should be streamed');
+  assert(received[1].data.anomaly.type === 'late_arrival' && received[1].id === received[0].id + 1, 'Messages should carry increasing ids');
+  assert(messagesSince(start).length === 2 && messagesSince(start + 1)[0].type === 'anomaly', 'Clients should resume after the last id they saw');
+  assert(messagesSince(getLastId() + 1) === null, 'Unknown ids should not resume');
+
+  assert(!matchesFilters(received[0], { container_ids: ['CONT041'] }), 'Other containers should be filtered out');
+  assert(!matchesFilters(received[0], { anomaly_types: ['late_arrival'] }) && matchesFilters(received[1], { anomaly_types: ['late_arrival'] }),
+    'An anomaly type filter should only pass anomalies of that type');
+
+  console.log('✅ Test 25 passed: Results and anomalies streamed\n');
+}
+
+function testAuthAndTenants() {
+  console.log('Test 26: Authentication and Tenants');
+
+  const secret = 'test-secret-0123456789';
+  const exp = Math.floor(Date.now() / 1000) + 600;
+  const token = signJwt({ sub: 'ops', tenant: 'acme', roles: ['operator'], exp }, secret);
+  assert(verifyJwt(token, secret).tenant === 'acme', 'Tokens signed with the secret should verify');
+  assert.throws(() => verifyJwt(token, 'another-secret-0123456'), /signature/, 'Forged tokens should be rejected');
+  assert.throws(() => verifyJwt(signJwt({ tenant: 'acme', roles: [], exp: exp - 1200 }, secret), secret), /expired/, 'Expired tokens should be rejected');
+  const unsigned = `${Buffer.from('{"alg":"none"}').toString('base64url')}.${token.split('.')[1]}.`;
+  assert.throws(() => verifyJwt(unsigned, secret), /Malformed/, 'Only HS256 tokens should be accepted');
+
+  process.env.JWT_SECRET = secret;
+  const { principal } = authenticate({ authorization: `Bearer ${token}` });
+  delete process.env.JWT_SECRET;
+  assert(principal.tenant === 'acme' && principal.roles.includes('operator'), 'A valid token should identify tenant and roles');
+  assert(authenticate({}).error, 'Requests without credentials should be rejected');
+
+  processContainerEvents([{ container_id: "CONT042", event_type: "port_departure", timestamp: "2024-11-01T08:00:00Z", location: "Port of Mumbai", metadata: { port_code: "INBOM" } }],
+    { store: getTenantStore('acme') });
+  assert(getTenantStore('acme').getResult('CONT042') && !getTenantStore('globex').getResult('CONT042'), 'Tenants should not see each other\'s containers');
+  assert.throws(() => getTenantStore('../acme'), /Invalid tenant/, 'Tenant names should be checked');
+
+  assert(resolveDataPath('inbox/events.json', '/srv/data') === '/srv/data/inbox/events.json', 'Files inside the data directory should be readable');
+  assert(resolveDataPath('../etc/passwd', '/srv/data') === null && resolveDataPath('/etc/passwd', '/srv/data') === null,
+    'Files outside the data directory should not be readable');
+
+  console.log('✅ Test 26 passed: Callers authenticated and scoped to their tenant\n');
+}
+
+// Calls a controller with a stub request and returns the stub response
+function callController(handler, { query = {}, params = {}, body, tenant = 'default' } = {}) {
+  const req = { query, params, body, auth: { tenant }, get: () => undefined, accepts: types => types[0] };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    vary() {},
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  handler(req, res);
+  return res;
+}
+
+function testReadEndpoints() {
+  console.log('Test 27: Read Endpoints');
+
+  const tenant = 'read-endpoints';
+  const departure = (id, timestamp) => ({ container_id: id, event_type: "port_departure", timestamp, location: "Port of Mumbai", metadata: { port_code: "INBOM" } });
+  processContainerEvents([
+    departure("CONT043", "2024-11-01T08:00:00Z"),
+    { container_id: "CONT043", event_type: "in_transit", timestamp: "2024-11-02T08:00:00Z", location: "Arabian Sea", metadata: { voyage_status: "on_schedule" } },
+    { container_id: "CONT043", event_type: "port_arrival", timestamp: "2024-11-02T20:00:00Z", location: "Port of Jebel Ali", metadata: { port_code: "AEJEA", expected_arrival: "2024-11-02T12:00:00Z" } },
+    departure("CONT044", "2024-11-01T09:00:00Z"),
+    departure("CONT045", "2024-11-01T10:00:00Z")
+  ], { store: getTenantStore(tenant) });
+
+  const departed = callController(listContainers, { tenant, query: { current_status: 'Departed Port' } });
+  assert(departed.body.total === 2 && departed.body.results.every(r => r.current_status === 'Departed Port'), 'Containers should be filtered by current_status');
+  const late = callController(listContainers, { tenant, query: { anomaly_type: 'late_arrival' } });
+  assert(late.body.total === 1 && late.body.results[0].container_id === 'CONT043', 'Containers should be filtered by anomaly_type');
+
+  const page = callController(listContainers, { tenant, query: { page: '2', limit: '2' } });
+  assert(page.body.total === 3 && page.body.page === 2 && page.body.results.length === 1, 'The last page should hold the remainder');
+  const beyond = callController(listContainers, { tenant, query: { page: '5', limit: '2' } });
+  assert(beyond.body.results.length === 0 && beyond.body.total === 3, 'Pages past the end should be empty');
+  const invalid = callController(listContainers, { tenant, query: { page: '-1', limit: 'abc' } });
+  assert(invalid.body.page === 1 && invalid.body.limit === 50, 'Invalid page and limit should fall back to the defaults');
+  const capped = callController(listContainers, { tenant, query: { limit: '100000' } });
+  assert(capped.body.limit === 500, 'limit should be capped');
+
+  const timeline = callController(getContainerTimeline, { tenant, params: { id: 'CONT043' }, query: { limit: '2' } });
+  assert(timeline.body.total === 3 && timeline.body.timeline.length === 2 && timeline.body.timeline[0].event_type === 'port_departure', 'Timelines should be paginated in order');
+  const anomalies = callController(getContainerAnomalies, { tenant, params: { id: 'CONT043' }, query: { anomaly_type: 'late_arrival' } });
+  assert(anomalies.body.anomalies.length === 1 && anomalies.body.anomalies[0].type === 'late_arrival', 'Anomalies should be filtered by type');
+  const missing = callController(getContainerTimeline, { tenant, params: { id: 'CONT999' } });
+  assert(missing.statusCode === 404, 'Unknown containers should answer 404');
+
+  console.log('✅ Test 27 passed: Stored results listed, filtered and paginated\n');
+}
+
 // Run all tests
-try {
-  testHappyPath();
-  testValidationFailures();
-  testAnomalyDetection();
-  testMultipleContainers();
-  testProblemStatementExample();
-
-  console.log('🎉 All tests passed successfully!');
-} catch (error) {
-  console.error('❌ Test failed:', error.message);
-  console.error(error.stack);
-  process.exit(1);
+// Test 28: Webhook deliveries are signed, retried with backoff and logged
+async function testWebhookDelivery() {
+  console.log('Test 28: Webhook Delivery');
+
+  const settings = { WEBHOOK_BACKOFF_MS: process.env.WEBHOOK_BACKOFF_MS, WEBHOOK_MAX_ATTEMPTS: process.env.WEBHOOK_MAX_ATTEMPTS };
+  process.env.WEBHOOK_BACKOFF_MS = '20';
+  process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+
+  // /flaky fails the first request, /down every request
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ path: req.url, headers: req.headers, body, at: Date.now() });
+      const flakyCount = requests.filter(r => r.path === '/flaky').length;
+      res.statusCode = req.url === '/flaky' && flakyCount > 1 ? 200 : 503;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+  const waitFor = async (check) => {
+    for (let i = 0; i < 100 && !check(); i++) await sleep(20);
+    assert(check(), 'Timed out waiting for webhook deliveries');
+  };
+
+  try {
+    const tenant = 'webhooks';
+    const flaky = createSubscription({ url: `${baseUrl}/flaky`, events: ['status.changed'], filters: { container_ids: ['CONT048'] } }, tenant);
+    const [result] = processContainerEvents([
+      { container_id: "CONT048", event_type: "port_departure", timestamp: "2024-11-01T08:00:00Z", location: "Port of Singapore", metadata: { port_code: "SGSIN" } }
+    ]);
+    publishResult(result, null, tenant);
+
+    await waitFor(() => getDeliveries(flaky.id, tenant)[0].status !== 'pending');
+    const [delivery] = getDeliveries(flaky.id, tenant);
+    const attempts = requests.filter(r => r.path === '/flaky');
+    assert(delivery.status === 'delivered' && delivery.attempts === 2 && delivery.response_status === 200, 'Should log a delivery retried after a failure');
+    assert(attempts.length === 2 && attempts[1].at - attempts[0].at >= 20, 'Should retry after the backoff');
+
+    const expected = `sha256=${crypto.createHmac('sha256', flaky.secret).update(attempts[1].body).digest('hex')}`;
+    assert(attempts[1].headers['x-wetrack-signature'] === expected, 'Should sign the raw body with the subscription secret');
+    const notification = JSON.parse(attempts[1].body);
+    assert(notification.type === 'status.changed' && notification.to === 'Departed Port' && notification.delivery_id === delivery.id,
+      'Should POST the notification');
+
+    const other = createSubscription({ url: `${baseUrl}/flaky`, events: ['status.changed'] }, 'other-tenant');
+    assert(getDeliveries(other.id, 'other-tenant').length === 0, 'Other tenants should not be notified');
+
+    const down = createSubscription({ url: `${baseUrl}/down`, events: ['status.changed'], filters: { container_ids: ['CONT049'] } }, tenant);
+    publishResult({ ...result, container_id: 'CONT049' }, null, tenant);
+    await waitFor(() => requests.some(r => r.path === '/down'));
+    deleteSubscription(down.id, tenant);
+    await sleep(150);
+    assert(requests.filter(r => r.path === '/down').length === 1, 'Should stop retrying once the subscription is deleted');
+    deleteSubscription(flaky.id, tenant);
+    deleteSubscription(other.id, 'other-tenant');
+  } finally {
+    server.closeAllConnections();
+    server.close();
+    Object.entries(settings).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  }
+
+  console.log('✅ Test 28 passed: Webhooks signed, retried and logged\n');
 }
 
+// Test 29: Files are read record by record and ingested chunk by chunk
+async function testFileIngestion() {
+  console.log('Test 29: File Ingestion');
+
+  const collect = async (records) => {
+    const out = [];
+    for await (const record of records) out.push(record);
+    return out;
+  };
+
+  // Stream chunks split inside strings, escapes and nested values
+  const arrayRecords = await collect(readJsonArray(Readable.from([
+    ' [ {"container_id": "CONT050", "location": "Pier \\"A\\', '", ]", "metadata": {"tags": [1, ', '2]}}',
+    ', {"broken": }', ',\n{"container_id": "CONT051"} ]  \n'
+  ])));
+  assert(arrayRecords.length === 3, 'Should split a JSON array into its elements across chunk boundaries');
+  assert(arrayRecords[0].value.location === 'Pier "A", ]' && arrayRecords[0].value.metadata.tags.length === 2,
+    'Should keep strings and nested values that span chunks intact');
+  assert(arrayRecords[1].error && arrayRecords[1].position === 'element 1', 'Should report an invalid element with its position');
+  assert(arrayRecords[2].value.container_id === 'CONT051', 'Should continue after an invalid element');
+
+  let truncated = null;
+  try {
+    await collect(readJsonArray(Readable.from(['[{"container_id": "CONT050"}'])));
+  } catch (err) {
+    truncated = err;
+  }
+  assert(truncated instanceof SyntaxError, 'Should reject a JSON array without its end');
+
+  const lineRecords = await collect(readNdjson(Readable.from(['{"container_id": "CON', 'T050"}\n\n{oops}\r\n{"container_id": "CONT051"}'])));
+  assert(lineRecords.length === 3 && lineRecords[0].value.container_id === 'CONT050', 'Should join lines split across chunks');
+  assert(lineRecords[1].error && lineRecords[1].position === 'line 3', 'Should report invalid lines by line number, skipping blank ones');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingest-'));
+  try {
+    const event = (id, type, timestamp) => ({ container_id: id, event_type: type, timestamp, location: "Port of Singapore", metadata: { port_code: "SGSIN" } });
+    const filePath = path.join(dir, 'events.ndjson');
+    fs.writeFileSync(filePath, [
+      JSON.stringify(event("CONT052", "port_departure", "2024-11-01T08:00:00Z")),
+      JSON.stringify(event("CONT053", "port_departure", "2024-11-01T09:00:00Z")),
+      '{"container_id": ',
+      JSON.stringify([1, 2]),
+      JSON.stringify(event("CONT052", "port_departure", "not a timestamp")),
+      JSON.stringify({ ...event("CONT052", "port_arrival", "2024-11-10T08:00:00Z"), metadata: { port_code: "NLRTM" }, location: "Port of Rotterdam" })
+    ].join('\n'));
+
+    const storePath = path.join(dir, 'store.json');
+    const store = createFileStore(storePath);
+    const chunks = [];
+    const progress = [];
+    const outcome = await ingestFile(filePath, {
+      mode: 'partial',
+      chunkSize: 2,
+      store,
+      onResults: results => chunks.push(results.map(r => `${r.container_id}:${r.total_events}`)),
+      onProgress: p => progress.push(p.events)
+    });
+
+    assert(outcome.results === null && outcome.stats.containers === 2, 'Results should be handed over per chunk, not collected');
+    assert(chunks.join('|') === 'CONT052:1,CONT053:1|CONT052:2', 'A container spanning chunks should be passed again with its updated result');
+    assert(outcome.stats.chunks === 2 && progress.join() === '2,4', 'Should process and report every chunk');
+    assert(outcome.stats.records === 6 && outcome.stats.events_rejected === 3, 'Should count rejected records and events');
+    assert(outcome.rejected.map(r => r.record || `event ${r.index}`).join() === 'line 3,line 4,event 2',
+      'Should report invalid records by position and invalid events by index');
+    assert(createFileStore(storePath).getEvents('CONT052').length === 2, 'The file store should hold every chunk');
+
+    const batched = createFileStore(path.join(dir, 'batched.json'));
+    batched.batch(() => {
+      batched.append('CONT054', [event("CONT054", "port_departure", "2024-11-01T08:00:00Z")]);
+      batched.saveRoute('CONT054', { origin: { port_code: "SGSIN" }, destination: { port_code: "NLRTM" } });
+      assert(!fs.existsSync(path.join(dir, 'batched.json')), 'A file store should not write inside batch()');
+    });
+    assert(createFileStore(path.join(dir, 'batched.json')).getRoute('CONT054'), 'A file store should write once batch() returns');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log('✅ Test 29 passed: Files read and ingested in chunks\n');
+}
+
+// Test 30: The file store appends each change instead of rewriting the file
+function testFileStore() {
+  console.log('Test 30: File Store Log');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+  try {
+    const storePath = path.join(dir, 'store.json');
+    const event = (i) => ({ container_id: `CONT${1000 + (i % 50)}`, event_type: "in_transit", timestamp: new Date(Date.UTC(2024, 10, 1) + i * 3600000).toISOString(), location: "Indian Ocean", metadata: { voyage_status: "at_sea" } });
+
+    const store = createFileStore(storePath);
+    for (let i = 0; i < 500; i++) processContainerEvents([event(i)], { store, asOf: "2024-12-01T00:00:00Z" });
+    const sizeBefore = fs.statSync(storePath).size;
+    store.append('CONT2000', [event(500)]);
+    const appended = fs.statSync(storePath).size - sizeBefore;
+    assert(appended === JSON.stringify({ op: 'append', id: 'CONT2000', events: [event(500)] }).length + 1, 'A write should append only the change');
+
+    const reopened = createFileStore(storePath);
+    assert(reopened.getEvents('CONT1000').length === 10 && reopened.getEvents('CONT2000').length === 1, 'Reopening should replay the log');
+    assert(reopened.getResultHistory('CONT1000').length === 10 && reopened.getResult('CONT1000').total_events === 10, 'Reopening should restore results and their versions');
+
+    fs.appendFileSync(storePath, '{"op": "append", "id": "CONT20');
+    assert(createFileStore(storePath).getEvents('CONT2000').length === 1, 'A torn last record should be dropped');
+
+    // 500 versions of one result: compacted to the 50 versions kept
+    const compactPath = path.join(dir, 'compact.json');
+    const compact = createFileStore(compactPath);
+    for (let i = 0; i < 500; i++) compact.saveResult('CONT3000', { container_id: 'CONT3000', total_events: i });
+    createFileStore(compactPath);
+    assert(fs.readFileSync(compactPath, 'utf8').trim().split('\n').length === 50, 'Reopening should compact a log of superseded records');
+    assert(createFileStore(compactPath).getResult('CONT3000').total_events === 499, 'Compaction should keep the latest result');
+
+    const legacyPath = path.join(dir, 'legacy.json');
+    fs.writeFileSync(legacyPath, JSON.stringify({ containers: { CONT4000: [event(0)] }, results: {}, history: {}, routes: {}, shipments: {} }));
+    assert(createFileStore(legacyPath).getEvents('CONT4000').length === 1, 'Should read stores written as one JSON document');
+    assert(JSON.parse(fs.readFileSync(legacyPath, 'utf8').trim()).op === 'append', 'Should convert them to a log');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log('✅ Test 30 passed: File store appends and replays its log\n');
+}
+
+// Test 31: File ingestion without a store keeps memory flat across chunks
+async function testIngestMemory() {
+  console.log('Test 31: File Ingestion Memory');
+
+  require('v8').setFlagsFromString('--expose_gc');
+  const gc = require('vm').runInNewContext('gc');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingest-memory-'));
+  try {
+    const filePath = path.join(dir, 'events.ndjson');
+    const lines = [];
+    for (let i = 0; i < 12000; i++) {
+      const id = `CONT${String(Math.floor(i / 3)).padStart(6, '0')}`;
+      const timestamp = new Date(Date.UTC(2024, 0, 1) + (i % 3) * 86400000).toISOString();
+      lines.push(JSON.stringify({ container_id: id, event_type: "in_transit", timestamp, location: "Indian Ocean", metadata: { voyage_status: "at_sea", note: 'x'.repeat(200) } }));
+    }
+    fs.writeFileSync(filePath, lines.join('\n'));
+
+    const spillDirs = () => fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('wetrack-ingest-')).length;
+    const spillDirsBefore = spillDirs();
+    const heap = [];
+    const outcome = await ingestFile(filePath, {
+      mode: 'partial',
+      chunkSize: 600,
+      asOf: "2024-02-01T00:00:00Z",
+      onResults: () => {},
+      onProgress: () => {
+        gc();
+        heap.push(process.memoryUsage().heapUsed);
+      }
+    });
+
+    assert(outcome.stats.chunks === 20 && outcome.stats.containers === 4000, 'Should ingest every chunk');
+    const growth = Math.max(...heap.slice(5)) - heap[4];
+    assert(growth < 2 * 1024 * 1024, `Heap should stay flat across chunks (grew ${(growth / 1024 / 1024).toFixed(1)} MB)`);
+    assert(spillDirs() === spillDirsBefore, 'Should remove its spill directory');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log('✅ Test 31 passed: File ingestion spills to disk instead of holding every event\n');
+}
+
+(async () => {
+  try {
+    testHappyPath();
+    testValidationFailures();
+    testAnomalyDetection();
+    testMultipleContainers();
+    testProblemStatementExample();
+    testIncrementalIngestion();
+    testPartialAcceptance();
+    testConfigurableAnomalyRules();
+    testLclLifecycle();
+    testRouteJourneyProgress();
+    testEtaPrediction();
+    testInputAdapters();
+    testReportFormats();
+    testResultDiff();
+    testIdempotentIngestion();
+    testCorrections();
+    testTimezones();
+    testLocationRegistry();
+    testImpossibleMovement();
+    testDwellAndDemurrage();
+    testCustomsHoldCases();
+    testAnalytics();
+    testShipmentRollup();
+    testContainerIdValidation();
+    testLiveStream();
+    testAuthAndTenants();
+    testReadEndpoints();
+    await testWebhookDelivery();
+    await testFileIngestion();
+    testFileStore();
+    await testIngestMemory();
+
+    console.log('🎉 All tests passed successfully!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+})();
+